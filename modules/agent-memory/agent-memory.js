@@ -4,14 +4,123 @@
  * in the Comet Platform.
  */
 
+// Storage adapters, the search index, the knowledge graph, version history,
+// the query language and the session summarizer live next to this module;
+// resolved lazily so script order does not matter
+const resolveMemoryStorage = () => {
+  if (typeof createMemoryStorage !== 'undefined') return createMemoryStorage;
+  if (typeof module !== 'undefined' && module.exports) return require('./memory-storage.js').createMemoryStorage;
+  return null;
+};
+
+const resolveMemoryIndex = () => {
+  if (typeof MemoryIndex !== 'undefined') return MemoryIndex;
+  if (typeof module !== 'undefined' && module.exports) return require('./memory-index.js');
+  return null;
+};
+
+const resolveKnowledgeGraph = () => {
+  if (typeof KnowledgeGraph !== 'undefined') return KnowledgeGraph;
+  if (typeof module !== 'undefined' && module.exports) return require('./memory-graph.js');
+  return null;
+};
+
+const resolveMemoryQuery = () => {
+  if (typeof matchesQuery !== 'undefined') return { MemoryFieldIndex, matchesQuery, sortMemories };
+  if (typeof module !== 'undefined' && module.exports) return require('./memory-query.js');
+  return null;
+};
+
+const resolveMemoryHistory = () => {
+  if (typeof MemoryHistory !== 'undefined') return MemoryHistory;
+  if (typeof module !== 'undefined' && module.exports) return require('./memory-history.js');
+  return null;
+};
+
+const resolveSummarizer = () => {
+  if (typeof ExtractiveSummarizer !== 'undefined') return ExtractiveSummarizer;
+  if (typeof module !== 'undefined' && module.exports) return require('./memory-summarizer.js');
+  return null;
+};
+
+const EVICTION_POLICIES = ['lru', 'lfu', 'oldest', 'priority'];
+const NAMESPACE_SEPARATOR = '::';
+// Namespaced keys start with a control character no plain key is expected
+// to use, so they can't collide with plain keys (which may contain '::')
+const NAMESPACE_MARK = '\u0000ns:';
+
 class AgentMemory {
-  constructor(storageKey = 'comet_agent_memory') {
-    this.storageKey = storageKey;
+  /**
+   * @param {string|Object} options - Storage key, or options
+   * @param {string} options.storageKey - Storage key / database name (default 'comet_agent_memory')
+   * @param {string|Object} options.storage - 'localstorage' (default), 'indexeddb', 'memory',
+   *   'file-manager' or a storage adapter instance (see memory-storage.js)
+   * @param {Object} options.fileManager - CometFileManager for the 'file-manager' storage
+   * @param {Object} options.index - MemoryIndex options (dimensions, k1, b), false to disable text search
+   * @param {number} options.statsInterval - Persist recall access stats at most every this many ms
+   *   (default 30000; 0 only with flush()). Reads never trigger a write of their own
+   * @param {number} options.sweepInterval - Remove expired memories every this many ms (default 60000;
+   *   0 leaves them to access and sweep()). Call dispose() to stop the sweeper
+   * @param {Object} options.quota - Size limits, enforced on store
+   * @param {number} options.quota.maxEntries - Max number of memories
+   * @param {number} options.quota.maxBytes - Max serialized size of all memories
+   * @param {string} options.quota.policy - Eviction policy: 'lru' (default), 'lfu', 'oldest' or 'priority'
+   *   (lowest metadata.priority first); pinned memories are never evicted
+   * @param {boolean|Object} options.versioning - Keep version history for every key (per key
+   *   with store's `versioned` option otherwise); an object sets retention:
+   *   { maxVersions (default 50), maxAge (ms), maxSnapshots (default 10), maxBytes (serialized size
+   *   of all versions and snapshots, separate from quota.maxBytes; oldest dropped first) }
+   * @param {Function|Object} options.summarizer - Summarizer for compactSession: a function or an
+   *   object with summarize({ session, memories, context }) (default ExtractiveSummarizer)
+   */
+  constructor(options = {}) {
+    if (typeof options === 'string') {
+      options = { storageKey: options };
+    }
+
+    this.storageKey = options.storageKey || 'comet_agent_memory';
     this.memory = new Map();
     this.sessions = new Map();
     this.currentSessionId = null;
+    this.activeSessions = new Set();
+    this.namespaces = new Map();
     this.eventBus = null;
-    this._loadFromStorage();
+    this.storage = this._createStorage(options);
+    this.index = this._createIndex(options);
+    this.fieldIndex = this._createFieldIndex();
+    this.graph = this._createGraph();
+    this.versioning = !!options.versioning;
+    this.versionHistory = this._createHistory(options);
+    this.snapshots = new Map();
+    this.archives = new Map();
+    this.summarizer = options.summarizer || null;
+    this.maxSnapshots = (options.versioning && options.versioning.maxSnapshots) || 10;
+    this.maxHistoryBytes = (options.versioning && options.versioning.maxBytes) || Infinity;
+    this._snapshotSizes = new Map();
+    this._snapshotBytes = 0;
+    this._trimmingHistory = false;
+    this._dirty = new Map();
+    this._pendingClears = [];
+    this._flushTimer = null;
+    this._flushing = Promise.resolve();
+    this.statsInterval = options.statsInterval !== undefined ? options.statsInterval : 30000;
+    this._accessed = new Set();
+    this._statsTimer = null;
+    this.quota = { maxEntries: Infinity, maxBytes: Infinity, policy: 'lru', ...options.quota };
+    if (!EVICTION_POLICIES.includes(this.quota.policy)) {
+      throw new Error(`Unknown eviction policy "${this.quota.policy}"`);
+    }
+    this._sizes = new Map();
+    this._bytes = 0;
+    this._evictions = { total: 0, lru: 0, lfu: 0, oldest: 0, priority: 0 };
+    this._expirations = 0;
+    this._sweepTimer = null;
+    this._loading = true;
+
+    // Resolves once persisted data is loaded; adapters with a synchronous
+    // load (localStorage, in-memory) are ready immediately
+    this.ready = this._loadFromStorage();
+    this.startSweeper(options.sweepInterval !== undefined ? options.sweepInterval : 60000);
   }
 
   /**
@@ -20,58 +129,247 @@ class AgentMemory {
    */
   init(eventBus) {
     this.eventBus = eventBus;
+    this._defineEvents();
     console.log('[AgentMemory] Initialized');
   }
 
   /**
-   * Start a new session
+   * Start a new session and make it the current one
    * @param {Object} metadata - Session metadata
    * @returns {string} Session ID
    */
   startSession(metadata = {}) {
-    const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    const session = {
-      id: sessionId,
-      startTime: Date.now(),
-      metadata,
-      memories: [],
-      context: {}
-    };
-
-    this.sessions.set(sessionId, session);
+    const sessionId = this._createSession(metadata, null);
     this.currentSessionId = sessionId;
-
-    if (this.eventBus) {
-      this.eventBus.emit('memory:session:started', { sessionId });
-    }
-
-    console.log(`[AgentMemory] Started session: ${sessionId}`);
     return sessionId;
   }
 
   /**
-   * End the current session
+   * Start a session alongside any others, without changing the current one
+   *
+   * Several sessions can be open at once (one per agent or task); writes
+   * through the returned handle are attributed to its session.
+   *
+   * @param {Object} metadata - Session metadata
+   * @returns {MemorySession} Session handle
+   */
+  openSession(metadata = {}) {
+    return new MemorySession(this, this._createSession(metadata, null));
+  }
+
+  /**
+   * End a session
+   * @param {string} sessionId - Session ID (defaults to current)
    */
-  endSession() {
-    if (!this.currentSessionId) {
+  endSession(sessionId = null) {
+    const sid = sessionId || this.currentSessionId;
+    if (!sid || !this.activeSessions.has(sid)) {
       console.warn('[AgentMemory] No active session to end');
       return;
     }
 
-    const session = this.sessions.get(this.currentSessionId);
+    const session = this.sessions.get(sid);
     if (session) {
       session.endTime = Date.now();
       session.duration = session.endTime - session.startTime;
     }
 
     if (this.eventBus) {
-      this.eventBus.emit('memory:session:ended', { sessionId: this.currentSessionId });
+      this.eventBus.emit('memory:session:ended', { sessionId: sid });
     }
 
-    console.log(`[AgentMemory] Ended session: ${this.currentSessionId}`);
-    this.currentSessionId = null;
-    this._saveToStorage();
+    console.log(`[AgentMemory] Ended session: ${sid}`);
+    this._markDirty('sessions', sid);
+    this.activeSessions.delete(sid);
+    if (sid === this.currentSessionId) {
+      this.currentSessionId = null;
+    }
+  }
+
+  /**
+   * Compact a session into a digest memory
+   *
+   * The session's memories are summarized into `digest:<sessionId>`, then
+   * archived (see getArchive) or deleted. The digest, the session and the
+   * archive link to each other, and knowledge graph entities that pointed
+   * at the raw memories point at the digest instead. Pinned memories,
+   * memories since re-stored by another session and memories added while
+   * the summarizer runs are left alone. The session context is kept in the
+   * digest's `context`.
+   *
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - Compaction options
+   * @param {string} options.mode - 'archive' (default) or 'delete' the raw memories
+   * @param {Function|Object} options.summarizer - Summarizer for this call
+   * @param {boolean} options.force - Also compact a session that is still active
+   * @returns {Promise<Object|null>} { sessionId, digestKey, memoryCount, mode } or null if skipped
+   */
+  async compactSession(sessionId, options = {}) {
+    await this.ready;
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      console.warn(`[AgentMemory] Session not found: ${sessionId}`);
+      return null;
+    }
+    if (this.activeSessions.has(sessionId) && !options.force) {
+      console.warn(`[AgentMemory] Session ${sessionId} is still active, end it or pass force`);
+      return null;
+    }
+
+    const mode = options.mode || 'archive';
+    const prefix = this._namespacePrefix(session.namespace);
+    const digestKey = `${prefix}digest:${sessionId}`;
+    const keys = this._sessionKeys(session);
+    const context = { ...session.context };
+    if (!keys.some(key => this._isCompactable(key, digestKey)) && Object.keys(context).length === 0) {
+      console.log(`[AgentMemory] Nothing to compact in session ${sessionId}`);
+      return null;
+    }
+
+    const memories = keys.map(key => {
+      const { value, metadata, timestamp } = this.memory.get(key);
+      return { key: key.slice(prefix.length), value, metadata, timestamp };
+    });
+    let result;
+    try {
+      result = await this._summarize(options.summarizer || this.summarizer, { session, memories, context });
+    } catch (error) {
+      console.error(`[AgentMemory] Failed to summarize session ${sessionId}:`, error);
+      return null;
+    }
+
+    // The session may have changed while the summarizer ran: only memories
+    // that were summarized and are still this session's get compacted
+    const live = this._sessionKeys(session);
+    const raw = keys.filter(key => live.includes(key) && this._isCompactable(key, digestKey));
+
+    // Recompacting keeps the lineage of the earlier digest
+    const previous = (this.memory.get(digestKey) || {}).value || {};
+    const sources = Array.from(new Set([
+      ...(previous.sources || []),
+      ...raw.map(key => key.slice(prefix.length))
+    ]));
+    const contextKeys = Array.from(new Set([
+      ...(previous.contextKeys || []),
+      ...Object.keys(context)
+    ]));
+    if (mode === 'archive') {
+      this._archiveSession(session, raw, context, digestKey);
+    }
+
+    // Entities describing the raw memories now describe the digest
+    const entities = this.graph ? raw.flatMap(key => this.graph.getEntitiesForMemory(key)) : [];
+    for (const key of raw) {
+      this._removeMemory(key, 'compacted');
+    }
+
+    this.store(digestKey, {
+      sessionId,
+      summary: result.summary,
+      keyPoints: result.keyPoints,
+      terms: result.terms,
+      sources,
+      contextKeys,
+      context: JSON.parse(JSON.stringify({ ...(previous.context || {}), ...context })),
+      startTime: session.startTime,
+      endTime: session.endTime || null
+    }, {
+      sessionId,
+      namespace: session.namespace || null,
+      metadata: { tags: ['session-digest'], compactedFrom: sessionId, archived: mode === 'archive' }
+    });
+    for (const id of new Set(entities)) {
+      this.graph.addEntity(id, { memoryKeys: [digestKey] });
+    }
+
+    session.memories = [digestKey, ...this._sessionKeys(session).filter(key => key !== digestKey && !raw.includes(key))];
+    // Context set while the summarizer ran wasn't summarized, so it stays
+    for (const [name, value] of Object.entries(context)) {
+      if (session.context[name] === value) delete session.context[name];
+    }
+    session.compacted = {
+      digestKey,
+      timestamp: Date.now(),
+      mode,
+      memoryCount: sources.length
+    };
+    this._markDirty('sessions', sessionId);
+
+    const summary = { sessionId, digestKey, memoryCount: raw.length, mode };
+    if (this.eventBus) {
+      this.eventBus.emit('memory:session:compacted', summary);
+    }
+    console.log(`[AgentMemory] Compacted session ${sessionId}: ${raw.length} memories into ${digestKey}`);
+
+    await this.flush();
+    return summary;
+  }
+
+  /**
+   * Compact every finished session, and sessions older than a cutoff
+   * @param {Object} options - compactSession options, plus olderThan (ms since start)
+   *   to include sessions that are still active
+   * @returns {Promise<Array>} Results of the sessions that were compacted
+   */
+  async compactSessions(options = {}) {
+    await this.ready;
+
+    const cutoff = options.olderThan ? Date.now() - options.olderThan : null;
+    const results = [];
+    for (const session of Array.from(this.sessions.values())) {
+      const finished = !this.activeSessions.has(session.id);
+      const old = cutoff !== null && session.startTime <= cutoff;
+      if (!finished && !old) continue;
+
+      const result = await this.compactSession(session.id, { ...options, force: old });
+      if (result) results.push(result);
+    }
+    return results;
+  }
+
+  /**
+   * Raw memories and context archived when a session was compacted
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} { sessionId, digestKey, archivedAt, memories: [[key, memory]], context }
+   */
+  getArchive(sessionId) {
+    const archive = this.archives.get(sessionId);
+    return archive ? JSON.parse(JSON.stringify(archive)) : null;
+  }
+
+  /**
+   * Isolated view of the memory store for one agent
+   *
+   * Keys, sessions, stats and export/import are scoped to the namespace.
+   * Other agents can only read or write it after `grant()`.
+   *
+   * The first call claims the namespace; the view's `token` is the owner's
+   * capability and later owner views need it. Views act for the agent whose
+   * token they carry, so an agent handed only its own view can't reach
+   * others' memories beyond their grants. Code holding the AgentMemory
+   * instance itself (or its export()) is trusted and sees everything.
+   *
+   * @param {string} agentId - Namespace / agent identifier
+   * @param {Object} options - Options (token of an already claimed namespace)
+   * @returns {MemoryNamespace} Owner view of the namespace
+   */
+  namespace(agentId, options = {}) {
+    const id = this._validNamespaceId(agentId);
+    const record = this.namespaces.get(id);
+
+    if (record && record.token) {
+      if (options.token !== record.token) {
+        throw new Error(`Memory namespace "${id}" is already claimed, its token is required`);
+      }
+      return new MemoryNamespace(this, id, id, record.token);
+    }
+
+    const token = this._createToken();
+    this.namespaces.set(id, { id, grants: {}, created: Date.now(), ...record, token });
+    this._markDirty('namespaces', id);
+    console.log(`[AgentMemory] Claimed namespace ${id}`);
+    return new MemoryNamespace(this, id, id, token);
   }
 
   /**
@@ -79,36 +377,79 @@ class AgentMemory {
    * @param {string} key - Memory key
    * @param {*} value - Memory value
    * @param {Object} options - Storage options
+   * @param {number} options.ttl - Time to live in ms
+   * @param {boolean} options.pinned - Never evict this memory (default: keep the current setting)
+   * @param {Object} options.metadata - Memory metadata
+   * @param {boolean} options.versioned - Record this value in the key's history
+   *   (default: the versioning option, or true once the key has history)
+   * @param {string} options.author - Who made the change, recorded in history
+   * @param {string} options.sessionId - Session to attribute the memory to (defaults to current)
+   * @returns {boolean} False if the key is a namespaced key written outside its namespace view
    */
   store(key, value, options = {}) {
+    // Namespaced keys carry a reserved prefix that decides which namespace
+    // a record belongs to; only namespace views write them
+    const namespace = this._namespaceOf(key);
+    if (namespace !== (options.namespace || null)) {
+      console.error(`[AgentMemory] Key ${JSON.stringify(key)} is reserved for namespace views`);
+      return false;
+    }
+
+    const timestamp = Date.now();
+    const previous = this.memory.get(key);
+    const sessionId = options.sessionId !== undefined ? options.sessionId : this.currentSessionId;
+    const version = this._isVersioned(key, options)
+      ? this.versionHistory.record(key, {
+        value,
+        metadata: options.metadata,
+        timestamp,
+        author: options.author,
+        sessionId
+      })
+      : null;
+
     const memory = {
       key,
       value,
-      timestamp: Date.now(),
-      sessionId: this.currentSessionId,
+      timestamp,
+      sessionId,
+      namespace,
+      version,
       ttl: options.ttl || null,
-      metadata: options.metadata || {}
+      // Overwriting a pinned key keeps it pinned unless told otherwise
+      pinned: options.pinned !== undefined ? !!options.pinned : !!(previous && previous.pinned),
+      metadata: options.metadata || {},
+      accessCount: 0,
+      lastAccess: null
     };
 
     this.memory.set(key, memory);
+    this._trackSize(key, memory);
+    if (this.index) this.index.add(key, memory);
+    if (this.fieldIndex) this.fieldIndex.add(key, memory);
 
-    // Add to current session if one is active
-    if (this.currentSessionId) {
-      const session = this.sessions.get(this.currentSessionId);
+    // Add to the session if one is active
+    if (sessionId) {
+      const session = this.sessions.get(sessionId);
       if (session) {
         session.memories.push(key);
+        if (!options.skipSave) {
+          this._markDirty('sessions', session.id);
+        }
       }
     }
 
     if (this.eventBus) {
-      this.eventBus.emit('memory:stored', { key, sessionId: this.currentSessionId });
+      this.eventBus.emit('memory:stored', { key, sessionId, namespace: memory.namespace });
     }
 
     if (!options.skipSave) {
-      this._saveToStorage();
+      this._markDirty('memories', key);
     }
 
     console.log(`[AgentMemory] Stored memory: ${key}`);
+    this._enforceQuota(key);
+    return true;
   }
 
   /**
@@ -124,11 +465,17 @@ class AgentMemory {
     }
 
     // Check TTL
-    if (memory.ttl && (Date.now() - memory.timestamp) > memory.ttl) {
-      this.forget(key);
+    if (this._isExpired(memory)) {
+      this._expire(key);
       return null;
     }
 
+    // Access stats feed the LRU/LFU policies; they are persisted on a
+    // slower schedule than data so reads don't each cause a write
+    memory.accessCount = (memory.accessCount || 0) + 1;
+    memory.lastAccess = Date.now();
+    this._markAccessed(key);
+
     return memory.value;
   }
 
@@ -137,212 +484,1959 @@ class AgentMemory {
    * @param {string} key - Memory key
    */
   forget(key) {
-    const deleted = this.memory.delete(key);
-    
-    if (deleted) {
+    if (this._removeMemory(key, 'forgotten')) {
       if (this.eventBus) {
         this.eventBus.emit('memory:forgotten', { key });
       }
-      this._saveToStorage();
       console.log(`[AgentMemory] Forgot memory: ${key}`);
     }
   }
 
   /**
-   * Search memories by criteria
-   * @param {Function|Object} criteria - Search criteria
-   * @returns {Array} Matching memories
+   * Version history of a key
+   * @param {string} key - Memory key
+   * @returns {Array} Versions, oldest first: { version, value, metadata, timestamp, author,
+   *   sessionId } or { version, deleted, reason, ... } for removals
    */
-  search(criteria) {
-    const results = [];
-
-    for (const [key, memory] of this.memory.entries()) {
-      let matches = false;
-
-      if (typeof criteria === 'function') {
-        matches = criteria(memory);
-      } else if (typeof criteria === 'object') {
-        matches = this._matchesCriteria(memory, criteria);
-      }
+  history(key) {
+    return this.versionHistory ? this.versionHistory.list(key) : [];
+  }
 
-      if (matches) {
-        results.push({ key, ...memory });
-      }
+  /**
+   * Value a key had at a point in time
+   * @param {string} key - Memory key
+   * @param {number} timestamp - Point in time (ms)
+   * @returns {*} The value then, or null if it did not exist
+   */
+  recallAt(key, timestamp) {
+    if (this.versionHistory && this.versionHistory.has(key)) {
+      const version = this.versionHistory.at(key, timestamp);
+      return version && !version.deleted ? version.value : null;
     }
 
-    return results;
+    // Unversioned keys only know their current value
+    const memory = this.memory.get(key);
+    return memory && memory.timestamp <= timestamp ? memory.value : null;
   }
 
   /**
-   * Get session context
-   * @param {string} sessionId - Session ID (defaults to current)
-   * @returns {Object} Session context
+   * Diff two versions of a key
+   * @param {string} key - Memory key
+   * @param {number} v1 - Old version
+   * @param {number} v2 - New version (default latest)
+   * @returns {Object|null} { key, from, to, changes } or null if a version is not retained
    */
-  getContext(sessionId = null) {
-    const sid = sessionId || this.currentSessionId;
-    if (!sid) return {};
+  diff(key, v1, v2 = null) {
+    if (!this.versionHistory) return null;
 
-    const session = this.sessions.get(sid);
-    return session ? session.context : {};
+    const from = this.versionHistory.get(key, v1);
+    const to = this.versionHistory.get(key, v2);
+    if (!from || !to) {
+      console.warn(`[AgentMemory] Version not found for ${key}`);
+      return null;
+    }
+
+    return {
+      key,
+      from: from.version,
+      to: to.version,
+      changes: this.versionHistory.diff(from.value, to.value)
+    };
   }
 
   /**
-   * Update session context
-   * @param {string} key - Context key
-   * @param {*} value - Context value
-   * @param {string} sessionId - Session ID (defaults to current)
+   * Restore a key to an earlier version; the revert is itself a new version
+   * @param {string} key - Memory key
+   * @param {number} version - Version to restore
+   * @param {Object} options - Options (author)
+   * @returns {boolean} True if reverted
    */
-  updateContext(key, value, sessionId = null) {
-    const sid = sessionId || this.currentSessionId;
-    if (!sid) {
-      console.warn('[AgentMemory] No session to update context');
-      return;
+  revert(key, version, options = {}) {
+    const target = this.versionHistory && this.versionHistory.get(key, version);
+    if (!target) {
+      console.warn(`[AgentMemory] Cannot revert ${key}: version ${version} not found`);
+      return false;
     }
 
-    const session = this.sessions.get(sid);
-    if (session) {
-      session.context[key] = value;
-      this._saveToStorage();
+    if (target.deleted) {
+      this.forget(key);
+    } else {
+      const current = this.memory.get(key);
+      this.store(key, target.value, {
+        metadata: target.metadata,
+        ttl: current ? current.ttl : null,
+        pinned: current ? current.pinned : false,
+        namespace: this._namespaceOf(key),
+        versioned: true,
+        author: options.author || `revert:${version}`
+      });
     }
+
+    if (this.eventBus) {
+      this.eventBus.emit('memory:reverted', { key, version });
+    }
+    console.log(`[AgentMemory] Reverted ${key} to version ${version}`);
+    return true;
   }
 
   /**
-   * Get all memories for a session
-   * @param {string} sessionId - Session ID
-   * @returns {Array} Session memories
+   * Snapshot the whole memory store (memories, sessions and graph)
+   * @param {string} label - Optional label
+   * @returns {string} Snapshot ID
    */
-  getSessionMemories(sessionId) {
-    const session = this.sessions.get(sessionId);
-    if (!session) return [];
+  snapshot(label = null) {
+    const { versions, ...data } = this.export();
+    const snapshot = {
+      id: `snapshot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      label,
+      timestamp: Date.now(),
+      data: JSON.parse(JSON.stringify(data))
+    };
 
-    return session.memories
-      .map(key => ({
-        key,
-        ...this.memory.get(key)
-      }))
-      .filter(m => m.value !== undefined);
+    this.snapshots.set(snapshot.id, snapshot);
+    this._trackSnapshotSize(snapshot.id);
+    this._markDirty('snapshots', snapshot.id);
+
+    // Oldest snapshots beyond the limit are dropped
+    const ids = Array.from(this.snapshots.values())
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(entry => entry.id);
+    for (const id of ids.slice(0, Math.max(0, ids.length - this.maxSnapshots))) {
+      this.deleteSnapshot(id);
+    }
+    this._enforceHistoryQuota();
+
+    if (this.eventBus) {
+      this.eventBus.emit('memory:snapshot:created', { snapshotId: snapshot.id });
+    }
+    console.log(`[AgentMemory] Created snapshot: ${snapshot.id}`);
+    return snapshot.id;
   }
 
   /**
-   * Get memory statistics
-   * @returns {Object} Memory statistics
+   * List snapshots
+   * @returns {Array} { id, label, timestamp, memories }, newest first
    */
-  getStats() {
-    return {
-      totalMemories: this.memory.size,
-      totalSessions: this.sessions.size,
-      activeSessions: this.currentSessionId ? 1 : 0,
-      currentSessionId: this.currentSessionId,
-      storageSize: this._estimateStorageSize()
-    };
+  listSnapshots() {
+    return Array.from(this.snapshots.values())
+      .map(({ id, label, timestamp, data }) => ({ id, label, timestamp, memories: data.memories.length }))
+      .sort((a, b) => b.timestamp - a.timestamp);
   }
 
   /**
-   * Clear all memories
-   * @param {boolean} includeSessions - Also clear sessions
+   * Replace the memory store with a snapshot
+   *
+   * Versioned keys get a new version (or a removal) for every change, so
+   * a restore can itself be reverted.
+   *
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {boolean} True if restored
    */
-  clear(includeSessions = false) {
-    this.memory.clear();
-    
-    if (includeSessions) {
-      this.sessions.clear();
-      this.currentSessionId = null;
+  restore(snapshotId) {
+    const snapshot = this.snapshots.get(snapshotId);
+    if (!snapshot) {
+      console.warn(`[AgentMemory] Snapshot not found: ${snapshotId}`);
+      return false;
     }
 
-    this._saveToStorage();
-    console.log('[AgentMemory] Cleared memories');
+    const previous = this.memory;
+    this.import(JSON.parse(JSON.stringify(snapshot.data)));
+
+    const author = `snapshot:${snapshotId}`;
+    for (const key of new Set([...previous.keys(), ...this.memory.keys()])) {
+      if (!this._isVersioned(key)) continue;
+
+      const memory = this.memory.get(key);
+      const latest = this.versionHistory.get(key);
+      if (!memory) {
+        this.versionHistory.record(key, { deleted: true, reason: 'restored', author });
+      } else if (!latest || latest.deleted || this.versionHistory.diff(latest.value, memory.value).length > 0) {
+        memory.version = this.versionHistory.record(key, { ...memory, timestamp: Date.now(), author });
+      }
+    }
 
     if (this.eventBus) {
-      this.eventBus.emit('memory:cleared', { includeSessions });
+      this.eventBus.emit('memory:snapshot:restored', { snapshotId });
     }
+    console.log(`[AgentMemory] Restored snapshot: ${snapshotId}`);
+    return true;
   }
 
   /**
-   * Export all data
-   * @returns {Object} Exported data
+   * Delete a snapshot
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {boolean} True if it existed
    */
-  export() {
-    return {
-      memories: Array.from(this.memory.entries()),
-      sessions: Array.from(this.sessions.entries()),
-      currentSessionId: this.currentSessionId,
-      exportTime: Date.now()
-    };
+  deleteSnapshot(snapshotId) {
+    if (!this.snapshots.delete(snapshotId)) return false;
+
+    this._trackSnapshotSize(snapshotId);
+    this._markDirty('snapshots', snapshotId);
+    return true;
   }
 
   /**
-   * Import data
-   * @param {Object} data - Data to import
+   * Protect a memory from eviction
+   * @param {string} key - Memory key
+   * @param {boolean} pinned - False to unpin
+   * @returns {boolean} True if the memory exists
    */
-  import(data) {
-    if (data.memories) {
-      this.memory = new Map(data.memories);
-    }
-    if (data.sessions) {
-      this.sessions = new Map(data.sessions);
-    }
-    if (data.currentSessionId) {
-      this.currentSessionId = data.currentSessionId;
-    }
+  pin(key, pinned = true) {
+    const memory = this.memory.get(key);
+    if (!memory) return false;
 
-    this._saveToStorage();
-    console.log('[AgentMemory] Imported data');
+    memory.pinned = pinned;
+    this._markDirty('memories', key);
+    return true;
   }
 
-  // Private methods
+  /**
+   * Allow a pinned memory to be evicted again
+   * @param {string} key - Memory key
+   * @returns {boolean} True if the memory exists
+   */
+  unpin(key) {
+    return this.pin(key, false);
+  }
 
-  _matchesCriteria(memory, criteria) {
-    for (const [key, value] of Object.entries(criteria)) {
-      if (memory[key] !== value) {
-        return false;
-      }
+  /**
+   * Remove all memories whose TTL has passed, and versions older than the
+   * versioning maxAge
+   * @returns {Array<string>} Keys of the expired memories
+   */
+  sweep() {
+    if (this.versionHistory) {
+      this.versionHistory.prune();
     }
-    return true;
-  }
 
-  _loadFromStorage() {
-    try {
-      const stored = localStorage.getItem(this.storageKey);
-      if (stored) {
-        const data = JSON.parse(stored);
-        if (data.memories) {
-          this.memory = new Map(data.memories);
-        }
-        if (data.sessions) {
-          this.sessions = new Map(data.sessions);
-        }
-        console.log('[AgentMemory] Loaded from storage');
-      }
-    } catch (error) {
-      console.error('[AgentMemory] Failed to load from storage:', error);
+    const expired = [];
+    for (const [key, memory] of this.memory) {
+      if (this._isExpired(memory)) expired.push(key);
     }
-  }
 
-  _saveToStorage() {
-    try {
-      const data = {
-        memories: Array.from(this.memory.entries()),
-        sessions: Array.from(this.sessions.entries())
-      };
-      localStorage.setItem(this.storageKey, JSON.stringify(data));
-    } catch (error) {
-      console.error('[AgentMemory] Failed to save to storage:', error);
+    for (const key of expired) {
+      this._expire(key);
+    }
+    if (expired.length > 0) {
+      console.log(`[AgentMemory] Swept ${expired.length} expired memories`);
+    }
+    return expired;
+  }
+
+  /**
+   * Sweep expired memories periodically
+   * @param {number} interval - Interval in ms (0 stops sweeping)
+   */
+  startSweeper(interval = 60000) {
+    this.stopSweeper();
+    if (!interval) return;
+
+    this._sweepTimer = setInterval(() => this.sweep(), interval);
+    // Don't keep Node processes alive just for the sweeper
+    if (typeof this._sweepTimer.unref === 'function') this._sweepTimer.unref();
+  }
+
+  /**
+   * Stop the periodic sweep
+   */
+  stopSweeper() {
+    if (this._sweepTimer) {
+      clearInterval(this._sweepTimer);
+      this._sweepTimer = null;
+    }
+  }
+
+  /**
+   * Stop background work and write pending changes; call when the instance
+   * is no longer used
+   * @returns {Promise<void>} Resolves once pending changes are stored
+   */
+  dispose() {
+    this.stopSweeper();
+    if (this._statsTimer) {
+      clearTimeout(this._statsTimer);
+      this._statsTimer = null;
+    }
+    console.log('[AgentMemory] Disposed');
+    return this.flush();
+  }
+
+  /**
+   * Search memories by criteria
+   * @param {Function|Object|string} criteria - Predicate, query filter (see query),
+   *   or query text for a relevance-ranked search (see searchText)
+   * @param {Object} options - Sort and paging options for filters (see query)
+   * @returns {Array} Matching memories
+   */
+  search(criteria, options = {}) {
+    if (typeof criteria === 'string') {
+      return this.searchText(criteria, options);
+    }
+    if (criteria && typeof criteria === 'object' && resolveMemoryQuery()) {
+      return this.query(criteria, options);
+    }
+
+    const results = [];
+
+    for (const [key, memory] of this.memory.entries()) {
+      let matches = false;
+
+      if (typeof criteria === 'function') {
+        matches = criteria(memory);
+      } else if (typeof criteria === 'object') {
+        matches = this._matchesCriteria(memory, criteria);
+      }
+
+      if (matches) {
+        results.push({ key, ...memory });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Find memories with a query filter
+   *
+   * Filters map dotted field paths ('value.status', 'metadata.tags',
+   * 'timestamp', 'sessionId', ...) to a value or an operator object using
+   * $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte, $regex (+ $options) and
+   * $exists; $and / $or combine filters. Conditions on tags, sessionId and
+   * namespace are answered from secondary indexes.
+   *
+   * @example
+   * memory.query(
+   *   { 'metadata.tags': 'api', timestamp: { $gt: Date.now() - 3600000 }, sessionId },
+   *   { sort: '-timestamp', limit: 20, offset: 20 }
+   * );
+   *
+   * @param {Object} filter - Query filter
+   * @param {Object} options - Query options
+   * @param {string|Object} options.sort - 'field' / '-field', or { field: 1 | -1 }
+   * @param {number} options.limit - Max results
+   * @param {number} options.offset - Results to skip (default 0)
+   * @returns {Array} Matching memories
+   */
+  query(filter = {}, options = {}) {
+    return this._runQuery(filter, options);
+  }
+
+  /**
+   * Relevance-ranked search over memory keys, values and metadata
+   *
+   * Combines BM25 keyword scoring with similarity of hashed n-gram
+   * embeddings, so near matches ("deploy" / "deployment") still rank.
+   *
+   * @param {string} query - Query text
+   * @param {Object} options - Query options
+   * @param {string} options.mode - 'hybrid' (default), 'keyword' or 'similarity'
+   * @param {number} options.limit - Max results (default 10)
+   * @param {number} options.minScore - Minimum score (default 0)
+   * @param {string} options.sessionId - Only memories stored in this session
+   * @param {string} options.namespace - Only memories of this namespace
+   * @param {Array<string>} options.highlight - Snippet markers [open, close] (default ['**', '**'])
+   * @returns {Array} Memories with score, keyword, similarity and snippet, best first
+   */
+  searchText(query, options = {}) {
+    if (!this.index) {
+      console.warn('[AgentMemory] Text search is disabled');
+      return [];
+    }
+
+    const now = Date.now();
+    const results = this.index.query(query, {
+      ...options,
+      filter: key => {
+        const memory = this.memory.get(key);
+        if (!memory) return false;
+        if (this._isExpired(memory, now)) return false;
+        if (options.namespace !== undefined && (memory.namespace || null) !== options.namespace) return false;
+        return !options.sessionId || memory.sessionId === options.sessionId;
+      }
+    });
+
+    return results.map(result => ({ ...this.memory.get(result.key), ...result }));
+  }
+
+  /**
+   * Add an entity to the knowledge graph, or merge into an existing one
+   * @param {string} id - Entity identifier (e.g. "file:src/app.js")
+   * @param {Object} options - Entity options
+   * @param {string} options.type - Entity type (e.g. 'file', 'workflow')
+   * @param {string} options.label - Display label
+   * @param {Object} options.properties - Entity properties
+   * @param {Array<string>} options.memoryKeys - Memory keys describing the entity
+   * @param {string} options.sessionId - Session the entity was seen in (defaults to current)
+   * @returns {Object|null} The entity, or null if the graph is unavailable
+   */
+  addEntity(id, options = {}) {
+    if (!this._hasGraph()) return null;
+
+    const entity = this.graph.addEntity(id, {
+      ...options,
+      sessionId: options.sessionId || this.currentSessionId
+    });
+
+    if (this.eventBus) {
+      this.eventBus.emit('memory:entity:added', { entityId: id, type: entity.type });
+    }
+    return { ...entity };
+  }
+
+  /**
+   * Get an entity from the knowledge graph
+   * @param {string} id - Entity identifier
+   * @returns {Object|null} The entity or null
+   */
+  getEntity(id) {
+    const entity = this.graph && this.graph.entities.get(id);
+    return entity ? { ...entity } : null;
+  }
+
+  /**
+   * Get the memories linked to an entity
+   * @param {string} id - Entity identifier
+   * @returns {Array} Linked memories that still exist
+   */
+  getEntityMemories(id) {
+    const entity = this.graph && this.graph.entities.get(id);
+    if (!entity) return [];
+
+    return entity.memoryKeys
+      .filter(key => this.recall(key) !== null)
+      .map(key => ({ key, ...this.memory.get(key) }));
+  }
+
+  /**
+   * Remove an entity and its relations from the knowledge graph
+   * @param {string} id - Entity identifier
+   * @returns {boolean} True if the entity existed
+   */
+  removeEntity(id) {
+    if (!this._hasGraph() || !this.graph.removeEntity(id)) return false;
+
+    if (this.eventBus) {
+      this.eventBus.emit('memory:entity:removed', { entityId: id });
+    }
+    return true;
+  }
+
+  /**
+   * Relate two entities; missing entities are created
+   * @param {string} from - Source entity ID
+   * @param {string} predicate - Relation name (e.g. 'createdBy')
+   * @param {string} to - Target entity ID
+   * @param {Object} properties - Relation properties
+   * @returns {Object|null} The relation, or null if the graph is unavailable
+   */
+  relate(from, predicate, to, properties = {}) {
+    if (!this._hasGraph()) return null;
+
+    const relation = this.graph.relate(from, predicate, to, properties, this.currentSessionId);
+
+    if (this.eventBus) {
+      this.eventBus.emit('memory:relation:added', { relationId: relation.id, from, predicate, to });
+    }
+    return { ...relation };
+  }
+
+  /**
+   * Remove a relation between two entities
+   * @param {string} from - Source entity ID
+   * @param {string} predicate - Relation name
+   * @param {string} to - Target entity ID
+   * @returns {boolean} True if the relation existed
+   */
+  unrelate(from, predicate, to) {
+    return this._hasGraph() ? this.graph.unrelate(from, predicate, to) : false;
+  }
+
+  /**
+   * Get entities related to an entity
+   * @param {string} id - Entity identifier
+   * @param {Object} options - Query options (direction 'out'|'in'|'both', predicate, type, depth)
+   * @returns {Array} { entity, relation, direction, depth }
+   */
+  neighbors(id, options = {}) {
+    return this._hasGraph() ? this.graph.neighbors(id, options) : [];
+  }
+
+  /**
+   * Find paths between two entities
+   * @param {string} from - Start entity ID
+   * @param {string} to - End entity ID
+   * @param {Object} options - Query options (direction, predicate, maxDepth, limit)
+   * @returns {Array<Array>} Paths of { from, predicate, to, relationId } steps, shortest first
+   */
+  findPaths(from, to, options = {}) {
+    return this._hasGraph() ? this.graph.findPaths(from, to, options) : [];
+  }
+
+  /**
+   * Export the part of the knowledge graph around some entities
+   * @param {string|Array<string>} ids - Root entity ID(s)
+   * @param {Object} options - Options (depth, direction, predicate)
+   * @returns {Object} { entities, relations }
+   */
+  exportSubgraph(ids, options = {}) {
+    return this._hasGraph() ? this.graph.subgraph(ids, options) : { entities: [], relations: [] };
+  }
+
+  /**
+   * Remove all entities and relations from the knowledge graph
+   */
+  clearGraph() {
+    if (!this._hasGraph()) return;
+
+    this.graph.clear();
+    this._queueClear(['entities', 'relations']);
+    console.log('[AgentMemory] Cleared knowledge graph');
+  }
+
+  /**
+   * Get session context
+   * @param {string} sessionId - Session ID (defaults to current)
+   * @returns {Object} Session context
+   */
+  getContext(sessionId = null) {
+    const sid = sessionId || this.currentSessionId;
+    if (!sid) return {};
+
+    const session = this.sessions.get(sid);
+    return session ? session.context : {};
+  }
+
+  /**
+   * Update session context
+   * @param {string} key - Context key
+   * @param {*} value - Context value
+   * @param {string} sessionId - Session ID (defaults to current)
+   */
+  updateContext(key, value, sessionId = null) {
+    const sid = sessionId || this.currentSessionId;
+    if (!sid) {
+      console.warn('[AgentMemory] No session to update context');
+      return;
+    }
+
+    const session = this.sessions.get(sid);
+    if (session) {
+      session.context[key] = value;
+      this._markDirty('sessions', sid);
+    }
+  }
+
+  /**
+   * Get all memories for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Array} Session memories
+   */
+  getSessionMemories(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return [];
+
+    return session.memories
+      .map(key => ({
+        key,
+        ...this.memory.get(key)
+      }))
+      .filter(m => m.value !== undefined);
+  }
+
+  /**
+   * Get memory statistics
+   * @returns {Object} Memory statistics
+   */
+  getStats() {
+    return {
+      totalMemories: this.memory.size,
+      totalSessions: this.sessions.size,
+      activeSessions: this.activeSessions.size,
+      namespaces: this._namespaceIds().length,
+      currentSessionId: this.currentSessionId,
+      storage: this.storage.name,
+      index: this.index ? this.index.getStats() : null,
+      fieldIndex: this.fieldIndex ? this.fieldIndex.getStats() : null,
+      graph: this.graph ? this.graph.getStats() : null,
+      history: this.versionHistory ? this.versionHistory.getStats() : null,
+      snapshots: this.snapshots.size,
+      archivedSessions: this.archives.size,
+      pendingWrites: this._dirty.size,
+      evictions: { ...this._evictions },
+      expired: this._expirations,
+      budget: {
+        policy: this.quota.policy,
+        maxEntries: this.quota.maxEntries,
+        maxBytes: this.quota.maxBytes,
+        bytes: this._bytes,
+        remainingEntries: Math.max(0, this.quota.maxEntries - this.memory.size),
+        remainingBytes: Math.max(0, this.quota.maxBytes - this._bytes),
+        historyBytes: this._historyBytes(),
+        maxHistoryBytes: this.maxHistoryBytes
+      },
+      storageSize: this._estimateStorageSize()
+    };
+  }
+
+  /**
+   * Clear all memories
+   * @param {boolean} includeSessions - Also clear sessions
+   */
+  clear(includeSessions = false) {
+    for (const key of this.memory.keys()) {
+      if (this.versionHistory && this.versionHistory.has(key)) {
+        this.versionHistory.record(key, { deleted: true, reason: 'cleared', sessionId: this.currentSessionId });
+      }
+    }
+    this.memory.clear();
+    this._sizes.clear();
+    this._bytes = 0;
+    if (this.index) this.index.clear();
+    if (this.fieldIndex) this.fieldIndex.clear();
+    if (this.graph) {
+      for (const key of Array.from(this.graph.memoryLinks.keys())) {
+        this.graph.unlinkMemory(key);
+      }
+    }
+    
+    if (includeSessions) {
+      this.sessions.clear();
+      this.activeSessions.clear();
+      this.currentSessionId = null;
+    }
+
+    this._queueClear(includeSessions ? ['memories', 'sessions'] : ['memories']);
+    console.log('[AgentMemory] Cleared memories');
+
+    if (this.eventBus) {
+      this.eventBus.emit('memory:cleared', { includeSessions });
+    }
+  }
+
+  /**
+   * Export all data
+   * @returns {Object} Exported data
+   */
+  export() {
+    this.sweep();
+    return {
+      memories: Array.from(this.memory.entries()),
+      sessions: Array.from(this.sessions.entries()),
+      entities: this.graph ? Array.from(this.graph.entities.entries()) : [],
+      relations: this.graph ? Array.from(this.graph.relations.entries()) : [],
+      versions: this.versionHistory ? Array.from(this.versionHistory.versions.entries()) : [],
+      namespaces: Array.from(this.namespaces.entries()),
+      archives: Array.from(this.archives.entries()),
+      currentSessionId: this.currentSessionId,
+      exportTime: Date.now()
+    };
+  }
+
+  /**
+   * Import data
+   * @param {Object} data - Data to import
+   */
+  import(data) {
+    if (data.memories) {
+      this.memory = new Map(data.memories);
+      for (const [key, memory] of this.memory) {
+        memory.namespace = this._namespaceOf(key);
+      }
+      this._rebuildIndex();
+      this._rebuildSizes();
+    }
+    if (data.sessions) {
+      this.sessions = new Map(data.sessions);
+    }
+    if (this.graph && (data.entities || data.relations)) {
+      this.graph.clear();
+      this.graph.load(data.entities, data.relations);
+    }
+    if (this.versionHistory && data.versions) {
+      this.versionHistory.clear();
+      this.versionHistory.load(data.versions);
+    }
+    if (data.namespaces) {
+      this.namespaces = new Map(data.namespaces);
+    }
+    if (data.archives) {
+      this.archives = new Map(data.archives);
+    }
+    if (data.currentSessionId) {
+      this.currentSessionId = data.currentSessionId;
+      this.activeSessions.add(data.currentSessionId);
+    }
+
+    // Import replaces everything it contains, so rewrite those kinds from scratch
+    const kinds = ['memories', 'sessions'];
+    if (data.namespaces) kinds.push('namespaces');
+    if (data.archives) kinds.push('archives');
+    if (this.graph) kinds.push('entities', 'relations');
+    if (this.versionHistory && data.versions) kinds.push('versions');
+    this._queueClear(kinds);
+    for (const kind of kinds) {
+      for (const key of this._collection(kind).keys()) this._markDirty(kind, key);
+    }
+    console.log('[AgentMemory] Imported data');
+    this._enforceQuota();
+  }
+
+  /**
+   * Store a memory item and wait until it is persisted
+   * @param {string} key - Memory key
+   * @param {*} value - Memory value
+   * @param {Object} options - Storage options (see store)
+   * @returns {Promise<void>}
+   */
+  async storeAsync(key, value, options = {}) {
+    await this.ready;
+    this.store(key, value, options);
+    await this.flush();
+  }
+
+  /**
+   * Retrieve a memory item once persisted data is loaded
+   * @param {string} key - Memory key
+   * @returns {Promise<*>} Memory value or null
+   */
+  async recallAsync(key) {
+    await this.ready;
+    return this.recall(key);
+  }
+
+  /**
+   * Remove a memory item and wait until storage is updated
+   * @param {string} key - Memory key
+   * @returns {Promise<void>}
+   */
+  async forgetAsync(key) {
+    await this.ready;
+    this.forget(key);
+    await this.flush();
+  }
+
+  /**
+   * Search memories once persisted data is loaded
+   * @param {Function|Object} criteria - Search criteria (see search)
+   * @param {Object} options - Sort and paging options (see query)
+   * @returns {Promise<Array>} Matching memories
+   */
+  async searchAsync(criteria, options = {}) {
+    await this.ready;
+    return this.search(criteria, options);
+  }
+
+  /**
+   * Clear memories and wait until storage is updated
+   * @param {boolean} includeSessions - Also clear sessions
+   * @returns {Promise<void>}
+   */
+  async clearAsync(includeSessions = false) {
+    await this.ready;
+    this.clear(includeSessions);
+    await this.flush();
+  }
+
+  /**
+   * Import data and wait until it is persisted
+   * @param {Object} data - Data to import (see export)
+   * @returns {Promise<void>}
+   */
+  async importAsync(data) {
+    await this.ready;
+    this.import(data);
+    await this.flush();
+  }
+
+  /**
+   * Write pending changes to storage now
+   *
+   * Sync methods update the in-memory state immediately and persist the
+   * changed keys in a batch shortly after; await this to know they landed.
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    this._persistAccessStats();
+    return this._flushChanges();
+  }
+
+  // Private methods
+
+  _defineEvents() {
+    if (!this.eventBus || typeof this.eventBus.defineEvent !== 'function') return;
+
+    const session = {
+      type: 'object',
+      required: ['sessionId'],
+      properties: { sessionId: { type: 'string' } }
+    };
+
+    this.eventBus.defineEvent('memory:session:started', session, { description: 'A memory session was started' });
+    this.eventBus.defineEvent('memory:session:ended', session, { description: 'A memory session was ended' });
+    this.eventBus.defineEvent('memory:session:compacted', {
+      type: 'object',
+      required: ['sessionId', 'digestKey', 'memoryCount', 'mode'],
+      properties: {
+        sessionId: { type: 'string' },
+        digestKey: { type: 'string' },
+        memoryCount: { type: 'integer' },
+        mode: { enum: ['archive', 'delete'] }
+      }
+    }, { description: 'A session was compacted into a digest memory' });
+    this.eventBus.defineEvent('memory:stored', {
+      type: 'object',
+      required: ['key'],
+      properties: {
+        key: { type: 'string' },
+        sessionId: { type: ['string', 'null'] },
+        namespace: { type: ['string', 'null'] }
+      }
+    }, { description: 'A memory was stored' });
+    this.eventBus.defineEvent('memory:access:denied', {
+      type: 'object',
+      required: ['namespace', 'agentId', 'operation'],
+      properties: {
+        namespace: { type: 'string' },
+        agentId: { type: 'string' },
+        operation: { type: 'string' }
+      }
+    }, { description: 'An agent used another namespace without a grant' });
+    this.eventBus.defineEvent('memory:forgotten', {
+      type: 'object',
+      required: ['key'],
+      properties: { key: { type: 'string' } }
+    }, { description: 'A memory was removed' });
+    this.eventBus.defineEvent('memory:expired', {
+      type: 'object',
+      required: ['key'],
+      properties: { key: { type: 'string' } }
+    }, { description: 'A memory was removed because its TTL passed' });
+    this.eventBus.defineEvent('memory:evicted', {
+      type: 'object',
+      required: ['key', 'policy'],
+      properties: { key: { type: 'string' }, policy: { type: 'string' } }
+    }, { description: 'A memory was evicted to stay within the quota' });
+    this.eventBus.defineEvent('memory:reverted', {
+      type: 'object',
+      required: ['key', 'version'],
+      properties: { key: { type: 'string' }, version: { type: 'integer' } }
+    }, { description: 'A memory was reverted to an earlier version' });
+    const snapshot = {
+      type: 'object',
+      required: ['snapshotId'],
+      properties: { snapshotId: { type: 'string' } }
+    };
+    this.eventBus.defineEvent('memory:snapshot:created', snapshot, { description: 'A snapshot of the memory store was taken' });
+    this.eventBus.defineEvent('memory:snapshot:restored', snapshot, { description: 'The memory store was restored from a snapshot' });
+    this.eventBus.defineEvent('memory:cleared', {
+      type: 'object',
+      properties: { includeSessions: { type: 'boolean' }, namespace: { type: 'string' } }
+    }, { description: 'All memories were cleared' });
+    this.eventBus.defineEvent('memory:entity:added', {
+      type: 'object',
+      required: ['entityId'],
+      properties: { entityId: { type: 'string' }, type: { type: 'string' } }
+    }, { description: 'A knowledge graph entity was added or updated' });
+    this.eventBus.defineEvent('memory:entity:removed', {
+      type: 'object',
+      required: ['entityId'],
+      properties: { entityId: { type: 'string' } }
+    }, { description: 'A knowledge graph entity was removed' });
+    this.eventBus.defineEvent('memory:relation:added', {
+      type: 'object',
+      required: ['relationId', 'from', 'predicate', 'to'],
+      properties: {
+        relationId: { type: 'string' },
+        from: { type: 'string' },
+        predicate: { type: 'string' },
+        to: { type: 'string' }
+      }
+    }, { description: 'Two knowledge graph entities were related' });
+  }
+
+  _matchesCriteria(memory, criteria) {
+    for (const [key, value] of Object.entries(criteria)) {
+      if (memory[key] !== value) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  _createStorage(options) {
+    if (options.storage && typeof options.storage === 'object') {
+      return options.storage;
+    }
+
+    const create = resolveMemoryStorage();
+    if (!create) {
+      console.warn('[AgentMemory] memory-storage.js not loaded, memories are kept in memory only');
+      return {
+        name: 'memory',
+        loadSync: () => ({}),
+        load: async () => ({}),
+        write: async () => {},
+        clear: async () => {}
+      };
+    }
+    return create(options.storage || 'localstorage', {
+      storageKey: this.storageKey,
+      fileManager: options.fileManager
+    });
+  }
+
+  _createIndex(options) {
+    if (options.index === false) return null;
+
+    const Index = resolveMemoryIndex();
+    if (!Index) {
+      console.warn('[AgentMemory] memory-index.js not loaded, text search disabled');
+      return null;
+    }
+    return new Index(options.index || {});
+  }
+
+  _createSession(metadata, namespace) {
+    const sessionId = this._createSessionId();
+
+    const session = {
+      id: sessionId,
+      startTime: Date.now(),
+      metadata,
+      namespace,
+      memories: [],
+      context: {}
+    };
+
+    this.sessions.set(sessionId, session);
+    this.activeSessions.add(sessionId);
+    this._markDirty('sessions', sessionId);
+
+    if (this.eventBus) {
+      this.eventBus.emit('memory:session:started', { sessionId });
+    }
+
+    console.log(`[AgentMemory] Started session: ${sessionId}`);
+    return sessionId;
+  }
+
+  async _summarize(summarizer, input) {
+    if (!summarizer) {
+      const Summarizer = resolveSummarizer();
+      if (!Summarizer) {
+        throw new Error('memory-summarizer.js is not loaded and no summarizer was given');
+      }
+      summarizer = this.summarizer = new Summarizer();
+    }
+
+    const result = typeof summarizer === 'function'
+      ? await summarizer(input)
+      : await summarizer.summarize(input);
+    // Summarizers may return just the summary text
+    return typeof result === 'string'
+      ? { summary: result, keyPoints: [], terms: [] }
+      : { summary: '', keyPoints: [], terms: [], ...result };
+  }
+
+  _sessionKeys(session) {
+    return Array.from(new Set(session.memories)).filter(key => {
+      const memory = this.memory.get(key);
+      return memory && memory.sessionId === session.id && !this._isExpired(memory);
+    });
+  }
+
+  _isCompactable(key, digestKey) {
+    return key !== digestKey && !this.memory.get(key).pinned;
+  }
+
+  _archiveSession(session, keys, context, digestKey) {
+    const archive = this.archives.get(session.id) || {
+      sessionId: session.id,
+      namespace: session.namespace || null,
+      digestKey,
+      memories: [],
+      context: {}
+    };
+
+    archive.archivedAt = Date.now();
+    archive.memories.push(...keys.map(key => [key, JSON.parse(JSON.stringify(this.memory.get(key)))]));
+    Object.assign(archive.context, JSON.parse(JSON.stringify(context)));
+
+    this.archives.set(session.id, archive);
+    this._markDirty('archives', session.id);
+  }
+
+  _createSessionId() {
+    return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  _createToken() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+      return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}${Math.random().toString(36).substr(2)}${Math.random().toString(36).substr(2)}`;
+  }
+
+  _validNamespaceId(agentId) {
+    if (!agentId || String(agentId).includes(NAMESPACE_SEPARATOR)) {
+      throw new Error(`Invalid memory namespace "${agentId}"`);
+    }
+    return String(agentId);
+  }
+
+  _namespacePrefix(namespace) {
+    return namespace ? `${NAMESPACE_MARK}${namespace}${NAMESPACE_SEPARATOR}` : '';
+  }
+
+  _namespaceOf(key) {
+    key = String(key);
+    if (!key.startsWith(NAMESPACE_MARK)) return null;
+
+    const index = key.indexOf(NAMESPACE_SEPARATOR, NAMESPACE_MARK.length);
+    return index === -1 ? null : key.slice(NAMESPACE_MARK.length, index);
+  }
+
+  _namespaceIds() {
+    const ids = new Set(this.namespaces.keys());
+    for (const memory of this.memory.values()) {
+      if (memory.namespace) ids.add(memory.namespace);
+    }
+    return Array.from(ids);
+  }
+
+  _putMemory(key, memory) {
+    // Used by namespace import: keeps the record as is instead of restamping it
+    this.memory.set(key, memory);
+    this._trackSize(key, memory);
+    if (this.index) this.index.add(key, memory);
+    if (this.fieldIndex) this.fieldIndex.add(key, memory);
+    this._markDirty('memories', key);
+  }
+
+  _removeMemory(key, reason) {
+    if (!this.memory.delete(key)) {
+      // Not loaded yet: queue the deletion so the load doesn't bring it back
+      if (this._loading) this._markDirty('memories', key);
+      return false;
+    }
+
+    if (this.versionHistory && this.versionHistory.has(key)) {
+      this.versionHistory.record(key, { deleted: true, reason, sessionId: this.currentSessionId });
+    }
+
+    this._bytes -= this._sizes.get(key) || 0;
+    this._sizes.delete(key);
+    if (this.index) this.index.remove(key);
+    if (this.fieldIndex) this.fieldIndex.remove(key);
+    if (this.graph) this.graph.unlinkMemory(key);
+    this._markDirty('memories', key);
+    return true;
+  }
+
+  _isExpired(memory, now = Date.now()) {
+    return !!memory.ttl && (now - memory.timestamp) > memory.ttl;
+  }
+
+  _expire(key) {
+    if (!this._removeMemory(key, 'expired')) return;
+
+    this._expirations++;
+    if (this.eventBus) {
+      this.eventBus.emit('memory:expired', { key });
+    }
+    console.log(`[AgentMemory] Expired memory: ${key}`);
+  }
+
+  _trackSize(key, memory) {
+    let size;
+    try {
+      size = JSON.stringify(memory).length;
+    } catch (error) {
+      size = 0;
+    }
+    this._bytes += size - (this._sizes.get(key) || 0);
+    this._sizes.set(key, size);
+  }
+
+  _rebuildSizes() {
+    this._sizes.clear();
+    this._bytes = 0;
+    for (const [key, memory] of this.memory) {
+      this._trackSize(key, memory);
+    }
+  }
+
+  _trackSnapshotSize(id) {
+    const snapshot = this.snapshots.get(id);
+    const size = snapshot ? JSON.stringify(snapshot).length : 0;
+    this._snapshotBytes += size - (this._snapshotSizes.get(id) || 0);
+    if (snapshot) this._snapshotSizes.set(id, size);
+    else this._snapshotSizes.delete(id);
+  }
+
+  _historyBytes() {
+    return this._snapshotBytes + (this.versionHistory ? this.versionHistory.bytes : 0);
+  }
+
+  _enforceHistoryQuota() {
+    // Dropping versions reports back through history.onChange
+    if (this._trimmingHistory || this._historyBytes() <= this.maxHistoryBytes) return;
+    this._trimmingHistory = true;
+
+    // Oldest first, snapshots and versions alike; the latest version of a
+    // key is never dropped so revert and diff keep a base
+    const candidates = Array.from(this.snapshots.values())
+      .map(snapshot => ({ snapshotId: snapshot.id, timestamp: snapshot.timestamp }));
+    if (this.versionHistory) {
+      for (const [key, versions] of this.versionHistory.versions) {
+        for (const entry of versions.slice(0, -1)) {
+          candidates.push({ key, version: entry.version, timestamp: entry.timestamp });
+        }
+      }
+    }
+    candidates.sort((a, b) => a.timestamp - b.timestamp);
+
+    try {
+      for (const candidate of candidates) {
+        if (this._historyBytes() <= this.maxHistoryBytes) break;
+        if (candidate.snapshotId) {
+          this.deleteSnapshot(candidate.snapshotId);
+        } else {
+          this.versionHistory.drop(candidate.key, candidate.version);
+        }
+      }
+    } finally {
+      this._trimmingHistory = false;
+    }
+
+    if (this._historyBytes() > this.maxHistoryBytes) {
+      console.warn('[AgentMemory] History budget exceeded by the latest versions alone');
+    }
+  }
+
+  _overQuota() {
+    return this.memory.size > this.quota.maxEntries || this._bytes > this.quota.maxBytes;
+  }
+
+  _enforceQuota(keep = null) {
+    if (!this._overQuota()) return;
+
+    // Expired entries go first, they cost nothing to lose
+    this.sweep();
+    if (!this._overQuota()) return;
+
+    const policy = this.quota.policy;
+    const candidates = Array.from(this.memory.values())
+      .filter(memory => !memory.pinned && memory.key !== keep)
+      .sort(this._evictionOrder(policy));
+
+    for (const memory of candidates) {
+      if (!this._overQuota()) break;
+      this._removeMemory(memory.key, 'evicted');
+      this._evictions.total++;
+      this._evictions[policy] = (this._evictions[policy] || 0) + 1;
+
+      if (this.eventBus) {
+        this.eventBus.emit('memory:evicted', { key: memory.key, policy });
+      }
+      console.log(`[AgentMemory] Evicted memory (${policy}): ${memory.key}`);
+    }
+
+    if (this._overQuota()) {
+      console.warn('[AgentMemory] Quota exceeded, but the remaining memories are pinned');
+    }
+  }
+
+  _evictionOrder(policy) {
+    const lastUsed = memory => memory.lastAccess || memory.timestamp;
+    switch (policy) {
+      case 'lfu':
+        return (a, b) => (a.accessCount || 0) - (b.accessCount || 0) || lastUsed(a) - lastUsed(b);
+      case 'oldest':
+        return (a, b) => a.timestamp - b.timestamp;
+      case 'priority':
+        return (a, b) => (Number(a.metadata && a.metadata.priority) || 0) -
+          (Number(b.metadata && b.metadata.priority) || 0) || a.timestamp - b.timestamp;
+      default:
+        return (a, b) => lastUsed(a) - lastUsed(b);
+    }
+  }
+
+  _createGraph() {
+    const Graph = resolveKnowledgeGraph();
+    if (!Graph) {
+      console.warn('[AgentMemory] memory-graph.js not loaded, knowledge graph disabled');
+      return null;
+    }
+
+    const graph = new Graph();
+    graph.onChange = (kind, id) => this._markDirty(kind, id);
+    return graph;
+  }
+
+  _createHistory(options) {
+    const History = resolveMemoryHistory();
+    if (!History) {
+      if (options.versioning) console.warn('[AgentMemory] memory-history.js not loaded, versioning disabled');
+      return null;
+    }
+
+    const history = new History(typeof options.versioning === 'object' ? options.versioning : {});
+    history.onChange = (kind, key) => {
+      this._markDirty(kind, key);
+      this._enforceHistoryQuota();
+    };
+    return history;
+  }
+
+  _isVersioned(key, options = {}) {
+    if (!this.versionHistory) return false;
+    if (options.versioned !== undefined) return !!options.versioned;
+    return this.versioning || this.versionHistory.has(key);
+  }
+
+  _hasGraph() {
+    if (!this.graph) {
+      console.warn('[AgentMemory] Knowledge graph is disabled');
+      return false;
+    }
+    return true;
+  }
+
+  _collection(kind) {
+    switch (kind) {
+      case 'memories': return this.memory;
+      case 'sessions': return this.sessions;
+      case 'entities': return this.graph.entities;
+      case 'relations': return this.graph.relations;
+      case 'versions': return this.versionHistory.versions;
+      case 'snapshots': return this.snapshots;
+      case 'namespaces': return this.namespaces;
+      case 'archives': return this.archives;
+      default: throw new Error(`Unknown memory kind "${kind}"`);
+    }
+  }
+
+  _createFieldIndex() {
+    const query = resolveMemoryQuery();
+    return query ? new query.MemoryFieldIndex() : null;
+  }
+
+  _runQuery(filter, options = {}, namespace = undefined) {
+    const query = resolveMemoryQuery();
+    if (!query) {
+      console.warn('[AgentMemory] memory-query.js not loaded, queries are unavailable');
+      return [];
+    }
+
+    // The index only narrows candidates; every record is still matched in full
+    const scope = namespace === undefined ? filter : { $and: [{ namespace }, filter] };
+    const candidates = this.fieldIndex ? this.fieldIndex.candidates(scope) : null;
+    const prefix = this._namespacePrefix(namespace);
+    const now = Date.now();
+    const results = [];
+
+    for (const key of candidates || this.memory.keys()) {
+      const memory = this.memory.get(key);
+      if (!memory || this._isExpired(memory, now)) continue;
+      if (namespace !== undefined && (memory.namespace || null) !== namespace) continue;
+
+      const record = { ...memory, key: key.slice(prefix.length) };
+      if (query.matchesQuery(record, filter)) results.push(record);
+    }
+
+    const offset = options.offset || 0;
+    return query.sortMemories(results, options.sort)
+      .slice(offset, options.limit != null ? offset + options.limit : undefined);
+  }
+
+  _rebuildIndex() {
+    if (this.index) this.index.clear();
+    if (this.fieldIndex) this.fieldIndex.clear();
+    for (const [key, memory] of this.memory) {
+      if (this.index) this.index.add(key, memory);
+      if (this.fieldIndex) this.fieldIndex.add(key, memory);
+    }
+  }
+
+  _loadFromStorage() {
+    const apply = data => {
+      // Anything written, deleted or cleared before loading finished is newer
+      // than storage. Writes wait for the load (see _writePending), so those
+      // changes are all still queued here.
+      const cleared = new Set(this._pendingClears.flat());
+      const loaded = kind => (cleared.has(kind) ? [] : data[kind] || [])
+        .filter(([key]) => !this._dirty.has(`${kind}:${key}`));
+
+      for (const [key, memory] of loaded('memories')) {
+        if (!this.memory.has(key)) {
+          this.memory.set(key, memory);
+          this._trackSize(key, memory);
+          if (this.index) this.index.add(key, memory);
+          if (this.fieldIndex) this.fieldIndex.add(key, memory);
+        }
+      }
+      for (const [id, session] of loaded('sessions')) {
+        if (!this.sessions.has(id)) this.sessions.set(id, session);
+      }
+      if (this.graph) {
+        this.graph.load(loaded('entities'), loaded('relations'));
+      }
+      if (this.versionHistory) {
+        this.versionHistory.load(loaded('versions'));
+      }
+      for (const [id, snapshot] of loaded('snapshots')) {
+        if (this.snapshots.has(id)) continue;
+        this.snapshots.set(id, snapshot);
+        this._trackSnapshotSize(id);
+      }
+      for (const [id, namespace] of loaded('namespaces')) {
+        if (!this.namespaces.has(id)) this.namespaces.set(id, namespace);
+      }
+      for (const [id, archive] of loaded('archives')) {
+        if (!this.archives.has(id)) this.archives.set(id, archive);
+      }
+      this._loading = false;
+      console.log(`[AgentMemory] Loaded from storage (${this.storage.name})`);
+      this.sweep();
+      this._enforceQuota();
+    };
+    const fail = error => {
+      this._loading = false;
+      console.error('[AgentMemory] Failed to load from storage:', error);
+    };
+
+    if (typeof this.storage.loadSync === 'function') {
+      try {
+        apply(this.storage.loadSync());
+      } catch (error) {
+        fail(error);
+      }
+      return Promise.resolve();
+    }
+
+    return Promise.resolve()
+      .then(() => this.storage.load())
+      .then(apply, fail);
+  }
+
+  _markDirty(kind, key) {
+    this._dirty.set(`${kind}:${key}`, { kind, key });
+    this._scheduleFlush();
+  }
+
+  _queueClear(kinds) {
+    // Changes queued earlier for these kinds are superseded by the clear
+    for (const [id, change] of this._dirty.entries()) {
+      if (kinds.includes(change.kind)) this._dirty.delete(id);
+    }
+    this._pendingClears.push(kinds);
+    this._scheduleFlush();
+  }
+
+  _scheduleFlush() {
+    if (this._flushTimer) return;
+
+    // Batch a burst of changes into one storage write
+    this._flushTimer = setTimeout(() => {
+      this._flushTimer = null;
+      this._flushChanges();
+    }, 0);
+  }
+
+  _flushChanges() {
+    if (this._flushTimer) {
+      clearTimeout(this._flushTimer);
+      this._flushTimer = null;
+    }
+
+    // Flushes run one after another so batches reach storage in order
+    this._flushing = this._flushing.then(() => this._writePending());
+    return this._flushing;
+  }
+
+  _markAccessed(key) {
+    this._accessed.add(key);
+    if (this._statsTimer || !this.statsInterval) return;
+
+    this._statsTimer = setTimeout(() => {
+      this._statsTimer = null;
+      this.flush();
+    }, this.statsInterval);
+    if (typeof this._statsTimer.unref === 'function') this._statsTimer.unref();
+  }
+
+  _persistAccessStats() {
+    for (const key of this._accessed) {
+      if (this.memory.has(key)) this._markDirty('memories', key);
+    }
+    this._accessed.clear();
+  }
+
+  async _writePending() {
+    // Writes wait for the initial load so they are not overwritten by it
+    await this.ready;
+
+    const clears = this._pendingClears;
+    const changes = Array.from(this._dirty.values()).map(({ kind, key }) => {
+      const source = this._collection(kind);
+      return { kind, key, value: source.has(key) ? source.get(key) : null };
+    });
+    this._pendingClears = [];
+    this._dirty.clear();
+
+    if (clears.length === 0 && changes.length === 0) return;
+
+    try {
+      for (const kinds of clears) {
+        await this.storage.clear(kinds);
+      }
+      await this.storage.write(changes);
+    } catch (error) {
+      console.error('[AgentMemory] Failed to save to storage:', error);
+      // Keep the changes queued for the next flush unless newer ones replaced them
+      this._pendingClears = [...clears, ...this._pendingClears];
+      for (const { kind, key } of changes) {
+        if (!this._dirty.has(`${kind}:${key}`)) this._dirty.set(`${kind}:${key}`, { kind, key });
+      }
     }
   }
 
   _estimateStorageSize() {
     try {
-      const data = localStorage.getItem(this.storageKey);
-      return data ? data.length : 0;
+      return typeof this.storage.estimateSize === 'function' ? this.storage.estimateSize() : null;
     } catch (error) {
       return 0;
     }
   }
 }
 
+/**
+ * Handle for one of several concurrently open sessions, returned by
+ * AgentMemory.openSession() and MemoryNamespace.openSession()
+ */
+class MemorySession {
+  constructor(target, id) {
+    this.target = target;
+    this.id = id;
+  }
+
+  /**
+   * Store a memory attributed to this session
+   * @param {string} key - Memory key
+   * @param {*} value - Memory value
+   * @param {Object} options - Storage options (see AgentMemory.store)
+   */
+  store(key, value, options = {}) {
+    return this.target.store(key, value, { ...options, sessionId: this.id });
+  }
+
+  /**
+   * Retrieve a memory item
+   * @param {string} key - Memory key
+   * @returns {*} Memory value or null
+   */
+  recall(key) {
+    return this.target.recall(key);
+  }
+
+  /**
+   * Relevance-ranked search over this session's memories
+   * @param {string} query - Query text
+   * @param {Object} options - Query options (see AgentMemory.searchText)
+   * @returns {Array} Matching memories
+   */
+  searchText(query, options = {}) {
+    return this.target.searchText(query, { ...options, sessionId: this.id });
+  }
+
+  /**
+   * Get this session's context
+   * @returns {Object} Session context
+   */
+  getContext() {
+    return this.target.getContext(this.id);
+  }
+
+  /**
+   * Update this session's context
+   * @param {string} key - Context key
+   * @param {*} value - Context value
+   */
+  updateContext(key, value) {
+    return this.target.updateContext(key, value, this.id);
+  }
+
+  /**
+   * Get the memories stored in this session
+   * @returns {Array} Session memories
+   */
+  getMemories() {
+    return this.target.getSessionMemories(this.id);
+  }
+
+  /**
+   * End this session
+   */
+  end() {
+    return this.target.endSession(this.id);
+  }
+}
+
+/**
+ * View of one agent's namespace returned by AgentMemory.namespace()
+ *
+ * Keys are stored in the shared store under a reserved `agentId::` prefix
+ * that plain keys can't produce, and a record belongs to the namespace its
+ * key is prefixed with. A view obtained
+ * through shared() acts on behalf of another agent and is limited by the
+ * owner's grant. Views only work with the acting agent's `token`.
+ */
+class MemoryNamespace {
+  constructor(parent, id, agentId = id, token = null) {
+    this.parent = parent;
+    this.id = id;
+    this.agentId = agentId;
+    this.token = token;
+  }
+
+  /**
+   * Store a memory in this namespace
+   * @param {string} key - Memory key
+   * @param {*} value - Memory value
+   * @param {Object} options - Storage options (see AgentMemory.store)
+   * @returns {boolean} False if write access is denied
+   */
+  store(key, value, options = {}) {
+    if (!this._allowed('write', 'store')) return false;
+
+    return this.parent.store(this._key(key), value, { ...options, namespace: this.id });
+  }
+
+  /**
+   * Retrieve a memory from this namespace
+   * @param {string} key - Memory key
+   * @returns {*} Memory value or null
+   */
+  recall(key) {
+    if (!this._allowed('read', 'recall')) return null;
+    return this.parent.recall(this._key(key));
+  }
+
+  /**
+   * Remove a memory from this namespace
+   * @param {string} key - Memory key
+   * @returns {boolean} False if write access is denied
+   */
+  forget(key) {
+    if (!this._allowed('write', 'forget')) return false;
+
+    this.parent.forget(this._key(key));
+    return true;
+  }
+
+  /**
+   * Keys stored in this namespace
+   * @returns {Array<string>} Memory keys
+   */
+  keys() {
+    if (!this._allowed('read', 'keys')) return [];
+    return this._entries().map(([key]) => key);
+  }
+
+  /**
+   * Search this namespace's memories (see AgentMemory.search)
+   * @param {Function|Object|string} criteria - Predicate, query filter or query text
+   * @param {Object} options - Sort and paging options (see AgentMemory.query)
+   * @returns {Array} Matching memories
+   */
+  search(criteria, options = {}) {
+    if (typeof criteria === 'string') {
+      return this.searchText(criteria, options);
+    }
+    if (typeof criteria !== 'function') {
+      return this.query(criteria || {}, options);
+    }
+    if (!this._allowed('read', 'search')) return [];
+
+    return this._entries()
+      .map(([key, memory]) => ({ ...memory, key }))
+      .filter(memory => criteria(memory));
+  }
+
+  /**
+   * Find this namespace's memories with a query filter (see AgentMemory.query)
+   * @param {Object} filter - Query filter; `key` is the namespace-local key
+   * @param {Object} options - Query options (sort, limit, offset)
+   * @returns {Array} Matching memories
+   */
+  query(filter = {}, options = {}) {
+    if (!this._allowed('read', 'query')) return [];
+    return this.parent._runQuery(filter, options, this.id);
+  }
+
+  /**
+   * Relevance-ranked search over this namespace (see AgentMemory.searchText)
+   * @param {string} query - Query text
+   * @param {Object} options - Query options
+   * @returns {Array} Matching memories
+   */
+  searchText(query, options = {}) {
+    if (!this._allowed('read', 'searchText')) return [];
+
+    return this.parent.searchText(query, { ...options, namespace: this.id })
+      .map(result => ({ ...result, key: this._localKey(result.key) }));
+  }
+
+  /**
+   * Version history of a key (see AgentMemory.history)
+   * @param {string} key - Memory key
+   * @returns {Array} Versions
+   */
+  history(key) {
+    if (!this._allowed('read', 'history')) return [];
+    return this.parent.history(this._key(key));
+  }
+
+  /**
+   * Value a key had at a point in time (see AgentMemory.recallAt)
+   * @param {string} key - Memory key
+   * @param {number} timestamp - Point in time (ms)
+   * @returns {*} The value then, or null
+   */
+  recallAt(key, timestamp) {
+    if (!this._allowed('read', 'recallAt')) return null;
+    return this.parent.recallAt(this._key(key), timestamp);
+  }
+
+  /**
+   * Restore a key to an earlier version (see AgentMemory.revert)
+   * @param {string} key - Memory key
+   * @param {number} version - Version to restore
+   * @param {Object} options - Options (author)
+   * @returns {boolean} True if reverted
+   */
+  revert(key, version, options = {}) {
+    if (!this._allowed('write', 'revert')) return false;
+    return this.parent.revert(this._key(key), version, options);
+  }
+
+  /**
+   * Open a session in this namespace
+   * @param {Object} metadata - Session metadata
+   * @returns {MemorySession|null} Session handle, null if write access is denied
+   */
+  openSession(metadata = {}) {
+    if (!this._allowed('write', 'openSession')) return null;
+    return new MemorySession(this, this.parent._createSession(metadata, this.id));
+  }
+
+  /**
+   * End a session of this namespace
+   * @param {string} sessionId - Session ID
+   */
+  endSession(sessionId) {
+    if (this._ownSession(sessionId) && this._allowed('write', 'endSession')) {
+      this.parent.endSession(sessionId);
+    }
+  }
+
+  /**
+   * Get a session's context
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Session context
+   */
+  getContext(sessionId) {
+    if (!this._ownSession(sessionId) || !this._allowed('read', 'getContext')) return {};
+    return this.parent.getContext(sessionId);
+  }
+
+  /**
+   * Update a session's context
+   * @param {string} key - Context key
+   * @param {*} value - Context value
+   * @param {string} sessionId - Session ID
+   */
+  updateContext(key, value, sessionId) {
+    if (this._ownSession(sessionId) && this._allowed('write', 'updateContext')) {
+      this.parent.updateContext(key, value, sessionId);
+    }
+  }
+
+  /**
+   * Get all memories of a session
+   * @param {string} sessionId - Session ID
+   * @returns {Array} Session memories
+   */
+  getSessionMemories(sessionId) {
+    if (!this._ownSession(sessionId) || !this._allowed('read', 'getSessionMemories')) return [];
+
+    return this.parent.getSessionMemories(sessionId)
+      .map(memory => ({ ...memory, key: this._localKey(memory.key) }));
+  }
+
+  /**
+   * Compact a session of this namespace (see AgentMemory.compactSession)
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - Compaction options
+   * @returns {Promise<Object|null>} Compaction result
+   */
+  async compactSession(sessionId, options = {}) {
+    if (!this._ownSession(sessionId) || !this._allowed('write', 'compactSession')) return null;
+    return this.parent.compactSession(sessionId, options);
+  }
+
+  /**
+   * Let another agent use this namespace
+   * @param {string} agentId - Agent to grant access to
+   * @param {string} access - 'read' (default) or 'write' (read-write)
+   * @returns {boolean} True if granted
+   */
+  grant(agentId, access = 'read') {
+    if (!this._isOwner('grant')) return false;
+    if (!['read', 'write'].includes(access)) {
+      console.error(`[AgentMemory] Unknown access "${access}", expected 'read' or 'write'`);
+      return false;
+    }
+
+    const record = this._record();
+    record.grants[agentId] = access;
+    this.parent.namespaces.set(this.id, record);
+    this.parent._markDirty('namespaces', this.id);
+    console.log(`[AgentMemory] Granted ${access} access on ${this.id} to ${agentId}`);
+    return true;
+  }
+
+  /**
+   * Withdraw another agent's access to this namespace
+   * @param {string} agentId - Agent to revoke
+   * @returns {boolean} True if a grant was removed
+   */
+  revoke(agentId) {
+    if (!this._isOwner('revoke')) return false;
+
+    const record = this.parent.namespaces.get(this.id);
+    if (!record || !record.grants[agentId]) return false;
+
+    delete record.grants[agentId];
+    this.parent._markDirty('namespaces', this.id);
+    console.log(`[AgentMemory] Revoked access on ${this.id} from ${agentId}`);
+    return true;
+  }
+
+  /**
+   * Current grants on this namespace
+   * @returns {Object} agentId -> 'read' | 'write'
+   */
+  getGrants() {
+    const record = this.parent.namespaces.get(this.id);
+    return record ? { ...record.grants } : {};
+  }
+
+  /**
+   * View of another agent's namespace acting as this agent
+   * @param {string} ownerId - Namespace to access
+   * @returns {MemoryNamespace} View limited by the owner's grant
+   */
+  shared(ownerId) {
+    return new MemoryNamespace(this.parent, this.parent._validNamespaceId(ownerId), this.agentId, this.token);
+  }
+
+  /**
+   * Get namespace statistics
+   * @returns {Object|null} Statistics, null if read access is denied
+   */
+  getStats() {
+    if (!this._allowed('read', 'getStats')) return null;
+
+    const entries = this._entries();
+    const sessions = this._sessions();
+    return {
+      namespace: this.id,
+      agentId: this.agentId,
+      access: this._access(),
+      totalMemories: entries.length,
+      totalSessions: sessions.length,
+      activeSessions: sessions.filter(([id]) => this.parent.activeSessions.has(id)).length,
+      bytes: entries.reduce((size, [key]) => size + (this.parent._sizes.get(this._key(key)) || 0), 0),
+      grants: this.getGrants()
+    };
+  }
+
+  /**
+   * Remove all memories of this namespace
+   * @returns {boolean} False if write access is denied
+   */
+  clear() {
+    if (!this._allowed('write', 'clear')) return false;
+
+    for (const [key] of this._entries(true)) {
+      this.parent._removeMemory(this._key(key), 'cleared');
+    }
+    console.log(`[AgentMemory] Cleared namespace ${this.id}`);
+
+    if (this.parent.eventBus) {
+      this.parent.eventBus.emit('memory:cleared', { includeSessions: false, namespace: this.id });
+    }
+    return true;
+  }
+
+  /**
+   * Export this namespace
+   * @returns {Object|null} Exported data with namespace-local keys
+   */
+  export() {
+    if (!this._allowed('read', 'export')) return null;
+
+    return {
+      namespace: this.id,
+      memories: this._entries().map(([key, memory]) => [key, { ...memory, key }]),
+      sessions: this._sessions().map(([id, session]) => [id, {
+        ...session,
+        memories: session.memories.map(key => this._localKey(key))
+      }]),
+      grants: this.getGrants(),
+      exportTime: Date.now()
+    };
+  }
+
+  /**
+   * Replace this namespace's memories and sessions with exported data
+   * @param {Object} data - Data from MemoryNamespace.export() (or AgentMemory.export())
+   * @returns {boolean} False if write access is denied
+   */
+  import(data) {
+    if (!this._allowed('write', 'import')) return false;
+
+    // Session IDs are shared by all namespaces; one that belongs to another
+    // namespace is imported under a new ID rather than taken over
+    const sessionIds = new Map();
+    for (const [id] of data.sessions || []) {
+      const existing = this.parent.sessions.get(id);
+      if (existing && existing.namespace !== this.id) {
+        const newId = this.parent._createSessionId();
+        console.warn(`[AgentMemory] Session ${id} belongs to another namespace, imported as ${newId}`);
+        sessionIds.set(id, newId);
+      } else {
+        sessionIds.set(id, id);
+      }
+    }
+
+    if (data.memories) {
+      for (const [key] of this._entries(true)) {
+        this.parent._removeMemory(this._key(key), 'imported');
+      }
+      for (const [key, memory] of data.memories) {
+        this.parent._putMemory(this._key(key), {
+          ...memory,
+          key: this._key(key),
+          namespace: this.id,
+          sessionId: sessionIds.get(memory.sessionId) || memory.sessionId || null
+        });
+      }
+    }
+    for (const [id, session] of data.sessions || []) {
+      const sessionId = sessionIds.get(id);
+      this.parent.sessions.set(sessionId, {
+        ...session,
+        id: sessionId,
+        namespace: this.id,
+        memories: (session.memories || []).map(key => this._key(key))
+      });
+      this.parent._markDirty('sessions', sessionId);
+    }
+    // Grants only travel with the owner's own import
+    if (data.grants && this._access() === 'owner') {
+      this.parent.namespaces.set(this.id, { ...this._record(), grants: { ...data.grants } });
+      this.parent._markDirty('namespaces', this.id);
+    }
+
+    console.log(`[AgentMemory] Imported namespace ${this.id}`);
+    this.parent._enforceQuota();
+    return true;
+  }
+
+  // Private methods
+
+  _key(key) {
+    return `${this.parent._namespacePrefix(this.id)}${key}`;
+  }
+
+  _localKey(key) {
+    const prefix = this.parent._namespacePrefix(this.id);
+    return key.startsWith(prefix) ? key.slice(prefix.length) : key;
+  }
+
+  _entries(includeExpired = false) {
+    const now = Date.now();
+    const prefix = this.parent._namespacePrefix(this.id);
+    const entries = [];
+    for (const [key, memory] of this.parent.memory) {
+      if (!key.startsWith(prefix)) continue;
+      if (!includeExpired && this.parent._isExpired(memory, now)) continue;
+      entries.push([this._localKey(key), memory]);
+    }
+    return entries;
+  }
+
+  _sessions() {
+    return Array.from(this.parent.sessions.entries()).filter(([, session]) => session.namespace === this.id);
+  }
+
+  _ownSession(sessionId) {
+    const session = this.parent.sessions.get(sessionId);
+    if (session && session.namespace === this.id) return true;
+
+    console.warn(`[AgentMemory] Session ${sessionId} does not belong to namespace ${this.id}`);
+    return false;
+  }
+
+  _record() {
+    return this.parent.namespaces.get(this.id) || { id: this.id, grants: {}, created: Date.now() };
+  }
+
+  _access() {
+    // The view must carry the token of the agent it acts for
+    const agent = this.parent.namespaces.get(this.agentId);
+    if (!agent || !agent.token || agent.token !== this.token) return null;
+
+    if (this.agentId === this.id) return 'owner';
+    return this.getGrants()[this.agentId] || null;
+  }
+
+  _isOwner(operation) {
+    if (this._access() === 'owner') return true;
+
+    this._deny(operation);
+    return false;
+  }
+
+  _allowed(access, operation) {
+    const granted = this._access();
+    if (granted === 'owner' || granted === 'write' || (access === 'read' && granted === 'read')) {
+      return true;
+    }
+
+    this._deny(operation);
+    return false;
+  }
+
+  _deny(operation) {
+    console.warn(`[AgentMemory] ${this.agentId} may not ${operation} in namespace ${this.id}`);
+    if (this.parent.eventBus) {
+      this.parent.eventBus.emit('memory:access:denied', { namespace: this.id, agentId: this.agentId, operation });
+    }
+  }
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = AgentMemory;
+  module.exports.MemoryNamespace = MemoryNamespace;
+  module.exports.MemorySession = MemorySession;
 } else {
   window.AgentMemory = AgentMemory;
+  window.MemoryNamespace = MemoryNamespace;
+  window.MemorySession = MemorySession;
 }
@@ -0,0 +1,385 @@
+/**
+ * Memory Graph Module
+ * Knowledge graph of entities and typed relations for AgentMemory in the
+ * Comet Platform ("file X was created by workflow Y in session Z").
+ */
+
+class KnowledgeGraph {
+  constructor() {
+    this.entities = new Map();
+    this.relations = new Map();
+    this.outgoing = new Map();
+    this.incoming = new Map();
+    this.memoryLinks = new Map();
+    this.onChange = null; // (kind, id) => void, set by the owner to persist changes
+  }
+
+  /**
+   * Add an entity, or merge into an existing one
+   * @param {string} id - Entity identifier (e.g. "file:src/app.js")
+   * @param {Object} options - Entity options
+   * @param {string} options.type - Entity type (e.g. 'file', 'workflow')
+   * @param {string} options.label - Display label
+   * @param {Object} options.properties - Properties merged into existing ones
+   * @param {Array<string>} options.memoryKeys - Memory keys describing the entity
+   * @param {string} options.sessionId - Session the entity was seen in
+   * @returns {Object} The entity
+   */
+  addEntity(id, options = {}) {
+    const now = Date.now();
+    const existing = this.entities.get(id);
+    const entity = existing || {
+      id,
+      type: options.type || 'entity',
+      label: options.label || id,
+      properties: {},
+      memoryKeys: [],
+      sessionIds: [],
+      created: now
+    };
+
+    if (existing && options.type) entity.type = options.type;
+    if (existing && options.label) entity.label = options.label;
+    Object.assign(entity.properties, options.properties || {});
+    entity.updated = now;
+
+    for (const key of options.memoryKeys || []) {
+      this._linkMemory(entity, key);
+    }
+    if (options.sessionId && !entity.sessionIds.includes(options.sessionId)) {
+      entity.sessionIds.push(options.sessionId);
+    }
+
+    this.entities.set(id, entity);
+    this._changed('entities', id);
+    return entity;
+  }
+
+  /**
+   * Remove an entity and every relation touching it
+   * @param {string} id - Entity identifier
+   * @returns {boolean} True if the entity existed
+   */
+  removeEntity(id) {
+    const entity = this.entities.get(id);
+    if (!entity) return false;
+
+    for (const relationId of [...(this.outgoing.get(id) || []), ...(this.incoming.get(id) || [])]) {
+      this.unrelate(relationId);
+    }
+    for (const key of entity.memoryKeys) {
+      const linked = this.memoryLinks.get(key);
+      if (linked) {
+        linked.delete(id);
+        if (linked.size === 0) this.memoryLinks.delete(key);
+      }
+    }
+
+    this.entities.delete(id);
+    this.outgoing.delete(id);
+    this.incoming.delete(id);
+    this._changed('entities', id);
+    return true;
+  }
+
+  /**
+   * Record a relation; the same (from, predicate, to) triple is updated, not duplicated
+   * @param {string} from - Source entity ID (created if missing)
+   * @param {string} predicate - Relation name (e.g. 'createdBy')
+   * @param {string} to - Target entity ID (created if missing)
+   * @param {Object} properties - Relation properties
+   * @param {string} sessionId - Session the relation was recorded in
+   * @returns {Object} The relation
+   */
+  relate(from, predicate, to, properties = {}, sessionId = null) {
+    for (const id of [from, to]) {
+      if (!this.entities.has(id)) {
+        this.addEntity(id, { sessionId });
+      }
+    }
+
+    const id = this._relationId(from, predicate, to);
+    const relation = this.relations.get(id) || {
+      id,
+      from,
+      predicate,
+      to,
+      properties: {},
+      sessionId,
+      timestamp: Date.now()
+    };
+    Object.assign(relation.properties, properties);
+
+    this.relations.set(id, relation);
+    this._addEdge(relation);
+    this._changed('relations', id);
+    return relation;
+  }
+
+  /**
+   * Remove a relation
+   * @param {string} relationId - Relation ID (or "from", predicate, "to")
+   * @param {string} predicate - Predicate when called with a triple
+   * @param {string} to - Target when called with a triple
+   * @returns {boolean} True if the relation existed
+   */
+  unrelate(relationId, predicate, to) {
+    const id = predicate ? this._relationId(relationId, predicate, to) : relationId;
+    const relation = this.relations.get(id);
+    if (!relation) return false;
+
+    this.relations.delete(id);
+    const outgoing = this.outgoing.get(relation.from);
+    if (outgoing) outgoing.delete(id);
+    const incoming = this.incoming.get(relation.to);
+    if (incoming) incoming.delete(id);
+
+    this._changed('relations', id);
+    return true;
+  }
+
+  /**
+   * Entities reachable from an entity
+   * @param {string} id - Entity identifier
+   * @param {Object} options - Query options
+   * @param {string} options.direction - 'out', 'in' or 'both' (default)
+   * @param {string|Array<string>} options.predicate - Only follow these predicates
+   * @param {string} options.type - Only return entities of this type
+   * @param {number} options.depth - Hops to follow (default 1)
+   * @returns {Array} { entity, relation, direction, depth } in breadth-first order
+   */
+  neighbors(id, options = {}) {
+    const maxDepth = options.depth || 1;
+    const seen = new Set([id]);
+    const results = [];
+    let frontier = [id];
+
+    for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+      const next = [];
+      for (const current of frontier) {
+        for (const { relation, direction, other } of this._edges(current, options)) {
+          if (seen.has(other)) continue;
+          // A relation can outlive its endpoint in partially loaded or
+          // hand-edited data; skip it rather than fail the whole query
+          const entity = this.entities.get(other);
+          if (!entity) continue;
+          seen.add(other);
+          next.push(other);
+
+          if (!options.type || entity.type === options.type) {
+            results.push({ entity, relation, direction, depth });
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    return results;
+  }
+
+  /**
+   * Find simple paths between two entities
+   * @param {string} from - Start entity ID
+   * @param {string} to - End entity ID
+   * @param {Object} options - Query options (direction, predicate, maxDepth default 4, limit default 10)
+   * @returns {Array<Array>} Paths, shortest first; each a list of { from, predicate, to, relationId }
+   */
+  findPaths(from, to, options = {}) {
+    const maxDepth = options.maxDepth || 4;
+    const limit = options.limit || 10;
+    const paths = [];
+    if (!this.entities.has(from) || !this.entities.has(to)) return paths;
+
+    // Breadth-first over partial paths, so shorter paths are found first
+    const queue = [{ node: from, steps: [], visited: new Set([from]) }];
+    while (queue.length > 0 && paths.length < limit) {
+      const { node, steps, visited } = queue.shift();
+      if (steps.length >= maxDepth) continue;
+
+      for (const { relation, other } of this._edges(node, options)) {
+        if (visited.has(other)) continue;
+
+        const path = [...steps, {
+          from: relation.from,
+          predicate: relation.predicate,
+          to: relation.to,
+          relationId: relation.id
+        }];
+        if (other === to) {
+          paths.push(path);
+          if (paths.length >= limit) break;
+        } else {
+          queue.push({ node: other, steps: path, visited: new Set([...visited, other]) });
+        }
+      }
+    }
+
+    return paths;
+  }
+
+  /**
+   * Export the part of the graph around some entities
+   * @param {string|Array<string>} ids - Root entity ID(s)
+   * @param {Object} options - Options (depth default 1, direction, predicate)
+   * @returns {Object} { entities, relations } with relations between included entities only
+   */
+  subgraph(ids, options = {}) {
+    const roots = (Array.isArray(ids) ? ids : [ids]).filter(id => this.entities.has(id));
+    const included = new Set(roots);
+
+    for (const id of roots) {
+      for (const { entity } of this.neighbors(id, { ...options, type: null })) {
+        included.add(entity.id);
+      }
+    }
+
+    const relations = Array.from(this.relations.values())
+      .filter(relation => included.has(relation.from) && included.has(relation.to))
+      .filter(relation => this._matchesPredicate(relation, options.predicate));
+
+    return {
+      entities: Array.from(included).map(id => this._clone(this.entities.get(id))),
+      relations: relations.map(relation => this._clone(relation))
+    };
+  }
+
+  /**
+   * Entities linked to a memory key
+   * @param {string} key - Memory key
+   * @returns {Array<string>} Entity IDs
+   */
+  getEntitiesForMemory(key) {
+    return Array.from(this.memoryLinks.get(key) || []);
+  }
+
+  /**
+   * Drop a memory key from every entity that links to it
+   * @param {string} key - Memory key
+   */
+  unlinkMemory(key) {
+    for (const id of this.memoryLinks.get(key) || []) {
+      const entity = this.entities.get(id);
+      entity.memoryKeys = entity.memoryKeys.filter(k => k !== key);
+      this._changed('entities', id);
+    }
+    this.memoryLinks.delete(key);
+  }
+
+  /**
+   * Add stored entities and relations, keeping any already in the graph
+   * @param {Array} entities - [[id, entity]] or entity list
+   * @param {Array} relations - [[id, relation]] or relation list
+   */
+  load(entities = [], relations = []) {
+    for (const item of entities) {
+      const entity = Array.isArray(item) ? item[1] : item;
+      if (this.entities.has(entity.id)) continue;
+      this.entities.set(entity.id, entity);
+      for (const key of entity.memoryKeys || []) {
+        if (!this.memoryLinks.has(key)) this.memoryLinks.set(key, new Set());
+        this.memoryLinks.get(key).add(entity.id);
+      }
+    }
+    for (const item of relations) {
+      const relation = Array.isArray(item) ? item[1] : item;
+      // Stored before IDs were escaped: re-key so relate() finds it
+      const id = this._relationId(relation.from, relation.predicate, relation.to);
+      if (relation.id !== id) {
+        this._changed('relations', relation.id);
+        relation.id = id;
+        this._changed('relations', id);
+      }
+      if (this.relations.has(id)) continue;
+      this.relations.set(id, relation);
+      this._addEdge(relation);
+    }
+  }
+
+  /**
+   * Remove all entities and relations
+   */
+  clear() {
+    this.entities.clear();
+    this.relations.clear();
+    this.outgoing.clear();
+    this.incoming.clear();
+    this.memoryLinks.clear();
+  }
+
+  /**
+   * Get graph statistics
+   * @returns {Object} Graph statistics
+   */
+  getStats() {
+    const predicates = {};
+    for (const relation of this.relations.values()) {
+      predicates[relation.predicate] = (predicates[relation.predicate] || 0) + 1;
+    }
+    return { entities: this.entities.size, relations: this.relations.size, predicates };
+  }
+
+  // Private methods
+
+  _relationId(from, predicate, to) {
+    // Escaped so "a|b" + "c" and "a" + "b|c" get different IDs
+    const escape = part => String(part).replace(/\\/g, '\\\\').replace(/\|/g, '\\|');
+    return `${escape(from)}|${escape(predicate)}|${escape(to)}`;
+  }
+
+  _addEdge(relation) {
+    if (!this.outgoing.has(relation.from)) this.outgoing.set(relation.from, new Set());
+    if (!this.incoming.has(relation.to)) this.incoming.set(relation.to, new Set());
+    this.outgoing.get(relation.from).add(relation.id);
+    this.incoming.get(relation.to).add(relation.id);
+  }
+
+  _edges(id, options) {
+    const direction = options.direction || 'both';
+    const edges = [];
+
+    if (direction !== 'in') {
+      for (const relationId of this.outgoing.get(id) || []) {
+        const relation = this.relations.get(relationId);
+        edges.push({ relation, direction: 'out', other: relation.to });
+      }
+    }
+    if (direction !== 'out') {
+      for (const relationId of this.incoming.get(id) || []) {
+        const relation = this.relations.get(relationId);
+        edges.push({ relation, direction: 'in', other: relation.from });
+      }
+    }
+
+    return edges.filter(edge => this._matchesPredicate(edge.relation, options.predicate));
+  }
+
+  _matchesPredicate(relation, predicate) {
+    if (!predicate) return true;
+    return Array.isArray(predicate) ? predicate.includes(relation.predicate) : relation.predicate === predicate;
+  }
+
+  _linkMemory(entity, key) {
+    if (!entity.memoryKeys.includes(key)) {
+      entity.memoryKeys.push(key);
+    }
+    if (!this.memoryLinks.has(key)) this.memoryLinks.set(key, new Set());
+    this.memoryLinks.get(key).add(entity.id);
+  }
+
+  _changed(kind, id) {
+    if (this.onChange) {
+      this.onChange(kind, id);
+    }
+  }
+
+  _clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KnowledgeGraph;
+} else {
+  window.KnowledgeGraph = KnowledgeGraph;
+}
@@ -0,0 +1,255 @@
+/**
+ * Memory History Module
+ * Per-key version history for AgentMemory in the Comet Platform, so a
+ * corrupted value can be inspected, diffed and rolled back.
+ */
+
+class MemoryHistory {
+  /**
+   * @param {Object} options - Retention options
+   * @param {number} options.maxVersions - Versions kept per key (default 50)
+   * @param {number} options.maxAge - Drop versions older than this many ms (default: keep)
+   */
+  constructor(options = {}) {
+    this.maxVersions = options.maxVersions || 50;
+    this.maxAge = options.maxAge || null;
+    this.versions = new Map();
+    this.sizes = new Map();
+    this.bytes = 0;
+    this.onChange = null; // (kind, key) => void, set by the owner to persist changes
+  }
+
+  /**
+   * Append a version for a key
+   * @param {string} key - Memory key
+   * @param {Object} entry - { value, metadata, timestamp, author, sessionId, deleted, reason }
+   * @returns {number} The new version number
+   */
+  record(key, entry) {
+    const versions = this.versions.get(key) || [];
+    const last = versions[versions.length - 1];
+
+    const version = {
+      version: last ? last.version + 1 : 1,
+      timestamp: entry.timestamp || Date.now(),
+      author: entry.author || null,
+      sessionId: entry.sessionId || null
+    };
+    if (entry.deleted) {
+      version.deleted = true;
+      version.reason = entry.reason || null;
+    } else {
+      // Copied so later mutations of the live value don't rewrite history
+      version.value = this._clone(entry.value);
+      version.metadata = this._clone(entry.metadata || {});
+    }
+
+    versions.push(version);
+    this._set(key, this._prune(versions));
+    this._changed(key);
+    return version.version;
+  }
+
+  /**
+   * Whether a key has any recorded history
+   * @param {string} key - Memory key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.versions.has(key);
+  }
+
+  /**
+   * All retained versions of a key, oldest first
+   * @param {string} key - Memory key
+   * @returns {Array} Versions
+   */
+  list(key) {
+    return (this.versions.get(key) || []).map(version => this._clone(version));
+  }
+
+  /**
+   * A specific version of a key
+   * @param {string} key - Memory key
+   * @param {number} version - Version number (default latest)
+   * @returns {Object|null} The version or null if not retained
+   */
+  get(key, version = null) {
+    const versions = this.versions.get(key) || [];
+    const found = version == null
+      ? versions[versions.length - 1]
+      : versions.find(entry => entry.version === version);
+    return found ? this._clone(found) : null;
+  }
+
+  /**
+   * The version that was current at a point in time
+   * @param {string} key - Memory key
+   * @param {number} timestamp - Point in time (ms)
+   * @returns {Object|null} The version or null if none was recorded by then
+   */
+  at(key, timestamp) {
+    const versions = this.versions.get(key) || [];
+    let found = null;
+    for (const version of versions) {
+      if (version.timestamp > timestamp) break;
+      found = version;
+    }
+    return found ? this._clone(found) : null;
+  }
+
+  /**
+   * Structural diff of two JSON values
+   * @param {*} from - Old value
+   * @param {*} to - New value
+   * @returns {Array} Changes { op: 'add'|'remove'|'replace', path, from, to }, path as JSON pointer
+   */
+  diff(from, to, path = '') {
+    if (this._isEqual(from, to)) return [];
+
+    const bothArrays = Array.isArray(from) && Array.isArray(to);
+    const bothObjects = this._isObject(from) && this._isObject(to);
+    if (!bothArrays && !bothObjects) {
+      return [{ op: 'replace', path: path || '/', from, to }];
+    }
+
+    const changes = [];
+    const keys = bothArrays
+      ? Array.from({ length: Math.max(from.length, to.length) }, (_, i) => String(i))
+      : Array.from(new Set([...Object.keys(from), ...Object.keys(to)]));
+
+    for (const key of keys) {
+      const childPath = `${path}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+      const inFrom = bothArrays ? Number(key) < from.length : Object.prototype.hasOwnProperty.call(from, key);
+      const inTo = bothArrays ? Number(key) < to.length : Object.prototype.hasOwnProperty.call(to, key);
+
+      if (!inFrom) {
+        changes.push({ op: 'add', path: childPath, to: to[key] });
+      } else if (!inTo) {
+        changes.push({ op: 'remove', path: childPath, from: from[key] });
+      } else {
+        changes.push(...this.diff(from[key], to[key], childPath));
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Drop the history of a key
+   * @param {string} key - Memory key
+   */
+  remove(key) {
+    if (this.versions.delete(key)) {
+      this.bytes -= this.sizes.get(key) || 0;
+      this.sizes.delete(key);
+      this._changed(key);
+    }
+  }
+
+  /**
+   * Drop one retained version of a key; the latest is always kept
+   * @param {string} key - Memory key
+   * @param {number} version - Version number
+   * @returns {boolean} True if the version was dropped
+   */
+  drop(key, version) {
+    const versions = this.versions.get(key) || [];
+    const index = versions.findIndex(entry => entry.version === version);
+    if (index === -1 || index === versions.length - 1) return false;
+
+    this._set(key, versions.filter((_, i) => i !== index));
+    this._changed(key);
+    return true;
+  }
+
+  /**
+   * Apply the retention limits again, e.g. to drop versions that aged out
+   * since they were written
+   * @returns {number} Number of versions dropped
+   */
+  prune() {
+    let dropped = 0;
+    for (const [key, versions] of this.versions) {
+      const kept = this._prune(versions);
+      if (kept.length === versions.length) continue;
+
+      dropped += versions.length - kept.length;
+      this._set(key, kept);
+      this._changed(key);
+    }
+    return dropped;
+  }
+
+  /**
+   * Add stored histories, keeping any already present
+   * @param {Array} entries - [[key, versions]]
+   */
+  load(entries = []) {
+    for (const [key, versions] of entries) {
+      if (!this.versions.has(key)) this._set(key, versions);
+    }
+  }
+
+  /**
+   * Remove all history
+   */
+  clear() {
+    this.versions.clear();
+    this.sizes.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Get history statistics
+   * @returns {Object} History statistics
+   */
+  getStats() {
+    let versions = 0;
+    for (const list of this.versions.values()) versions += list.length;
+    return { keys: this.versions.size, versions, bytes: this.bytes, maxVersions: this.maxVersions, maxAge: this.maxAge };
+  }
+
+  // Private methods
+
+  _prune(versions) {
+    let kept = versions.slice(-this.maxVersions);
+    if (this.maxAge) {
+      const cutoff = Date.now() - this.maxAge;
+      // The latest version is always kept, however old
+      kept = kept.filter((version, i) => version.timestamp >= cutoff || i === kept.length - 1);
+    }
+    return kept;
+  }
+
+  _set(key, versions) {
+    const size = JSON.stringify(versions).length;
+    this.bytes += size - (this.sizes.get(key) || 0);
+    this.sizes.set(key, size);
+    this.versions.set(key, versions);
+  }
+
+  _isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  _isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  _changed(key) {
+    if (this.onChange) {
+      this.onChange('versions', key);
+    }
+  }
+
+  _clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MemoryHistory;
+} else {
+  window.MemoryHistory = MemoryHistory;
+}
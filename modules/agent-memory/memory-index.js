@@ -0,0 +1,277 @@
+/**
+ * Memory Index Module
+ * Local relevance search over AgentMemory entries for the Comet Platform:
+ * BM25 keyword scoring combined with cosine similarity of hashed n-gram
+ * embeddings. Everything runs in-process, no network needed.
+ */
+
+const MEMORY_INDEX_STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'to', 'was', 'were', 'with'
+]);
+
+class MemoryIndex {
+  /**
+   * @param {Object} options - Index options
+   * @param {number} options.dimensions - Embedding size (default 256)
+   * @param {number} options.k1 - BM25 term frequency saturation (default 1.2)
+   * @param {number} options.b - BM25 length normalization (default 0.75)
+   */
+  constructor(options = {}) {
+    this.dimensions = options.dimensions || 256;
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.documents = new Map();
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Index (or re-index) a memory
+   * @param {string} key - Memory key
+   * @param {Object} memory - Memory record ({ value, metadata, ... })
+   */
+  add(key, memory) {
+    this.remove(key);
+
+    const text = this._extractText(key, memory);
+    const tokens = this.tokenize(text);
+    const frequencies = new Map();
+    for (const token of tokens) {
+      frequencies.set(token, (frequencies.get(token) || 0) + 1);
+    }
+
+    for (const [term, count] of frequencies) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(key, count);
+    }
+
+    this.documents.set(key, {
+      text,
+      length: tokens.length,
+      terms: Array.from(frequencies.keys()),
+      vector: this.embed(text)
+    });
+    this.totalLength += tokens.length;
+  }
+
+  /**
+   * Drop a memory from the index
+   * @param {string} key - Memory key
+   */
+  remove(key) {
+    const document = this.documents.get(key);
+    if (!document) return;
+
+    for (const term of document.terms) {
+      const posting = this.postings.get(term);
+      posting.delete(key);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.totalLength -= document.length;
+    this.documents.delete(key);
+  }
+
+  /**
+   * Remove everything from the index
+   */
+  clear() {
+    this.documents.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Rank indexed memories against a query
+   * @param {string} text - Query text
+   * @param {Object} options - Query options
+   * @param {string} options.mode - 'hybrid' (default), 'keyword' (BM25 only) or 'similarity'
+   * @param {Object} options.weights - Hybrid weights { keyword, similarity } (default 0.6 / 0.4)
+   * @param {number} options.limit - Max results (default 10)
+   * @param {number} options.minScore - Drop results scoring below this (default 0)
+   * @param {Function} options.filter - (key) => boolean, restrict candidates
+   * @param {Array<string>} options.highlight - Snippet markers [open, close] (default ['**', '**'])
+   * @returns {Array} { key, score, keyword, similarity, snippet } sorted by score
+   */
+  query(text, options = {}) {
+    const mode = options.mode || 'hybrid';
+    const weights = { keyword: 0.6, similarity: 0.4, ...options.weights };
+    const limit = options.limit || 10;
+    const terms = Array.from(new Set(this.tokenize(text)));
+
+    const keywordScores = mode === 'similarity' ? new Map() : this._bm25(terms);
+    const maxKeyword = Math.max(0, ...keywordScores.values());
+    const queryVector = mode === 'keyword' ? null : this.embed(text);
+
+    const results = [];
+    for (const [key, document] of this.documents) {
+      if (options.filter && !options.filter(key)) continue;
+
+      const keyword = maxKeyword > 0 ? (keywordScores.get(key) || 0) / maxKeyword : 0;
+      const similarity = queryVector ? this._cosine(queryVector, document.vector) : 0;
+
+      let score;
+      if (mode === 'keyword') score = keyword;
+      else if (mode === 'similarity') score = similarity;
+      else score = weights.keyword * keyword + weights.similarity * similarity;
+
+      if (score <= (options.minScore || 0)) continue;
+
+      results.push({
+        key,
+        score,
+        keyword: keywordScores.get(key) || 0,
+        similarity,
+        snippet: this._snippet(document.text, terms, options.highlight || ['**', '**'])
+      });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Split text into normalized terms
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} Lowercase terms without stopwords
+   */
+  tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(token => token.length > 1 && !MEMORY_INDEX_STOPWORDS.has(token));
+  }
+
+  /**
+   * Hashed n-gram embedding: word unigrams and character trigrams hashed
+   * into a fixed-size vector, L2 normalized
+   * @param {string} text - Text to embed
+   * @returns {Float32Array} Embedding
+   */
+  embed(text) {
+    const vector = new Float32Array(this.dimensions);
+
+    for (const token of this.tokenize(text)) {
+      vector[this._hash(`w:${token}`) % this.dimensions] += 1;
+
+      const padded = `^${token}$`;
+      for (let i = 0; i <= padded.length - 3; i++) {
+        vector[this._hash(`c:${padded.slice(i, i + 3)}`) % this.dimensions] += 0.5;
+      }
+    }
+
+    let norm = 0;
+    for (const value of vector) norm += value * value;
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    }
+    return vector;
+  }
+
+  /**
+   * Get index statistics
+   * @returns {Object} Index statistics
+   */
+  getStats() {
+    return {
+      documents: this.documents.size,
+      terms: this.postings.size,
+      averageLength: this.documents.size ? this.totalLength / this.documents.size : 0
+    };
+  }
+
+  // Private methods
+
+  _extractText(key, memory) {
+    const parts = [key];
+    const visit = value => {
+      if (value == null) return;
+      if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+        parts.push(String(value));
+      } else if (Array.isArray(value)) {
+        value.forEach(visit);
+      } else if (typeof value === 'object') {
+        for (const [field, nested] of Object.entries(value)) {
+          parts.push(field);
+          visit(nested);
+        }
+      }
+    };
+
+    visit(memory && memory.value);
+    visit(memory && memory.metadata);
+    return parts.join(' ');
+  }
+
+  _bm25(terms) {
+    const scores = new Map();
+    const count = this.documents.size;
+    const averageLength = count ? this.totalLength / count : 0;
+
+    for (const term of terms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [key, frequency] of posting) {
+        const length = this.documents.get(key).length;
+        const normalized = frequency * (this.k1 + 1) /
+          (frequency + this.k1 * (1 - this.b + this.b * (averageLength ? length / averageLength : 0)));
+        scores.set(key, (scores.get(key) || 0) + idf * normalized);
+      }
+    }
+
+    return scores;
+  }
+
+  _cosine(a, b) {
+    // Vectors are normalized, so the dot product is the cosine
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return dot;
+  }
+
+  _hash(value) {
+    // FNV-1a, 32 bit
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  _snippet(text, terms, [open, close], radius = 60) {
+    const lower = text.toLowerCase();
+    let first = -1;
+    for (const term of terms) {
+      const index = lower.indexOf(term);
+      if (index !== -1 && (first === -1 || index < first)) first = index;
+    }
+
+    const start = first === -1 ? 0 : Math.max(0, first - radius);
+    const end = Math.min(text.length, (first === -1 ? 0 : first) + radius * 2);
+    let snippet = text.slice(start, end);
+
+    if (terms.length > 0) {
+      const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      snippet = snippet.replace(new RegExp(`(${escaped.join('|')})`, 'gi'), `${open}$1${close}`);
+    }
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MemoryIndex;
+} else {
+  window.MemoryIndex = MemoryIndex;
+}
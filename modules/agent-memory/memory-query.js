@@ -0,0 +1,311 @@
+/**
+ * Memory Query Module
+ * Query objects for AgentMemory in the Comet Platform: field conditions
+ * with operators, sorting, and secondary indexes on tags, sessions and
+ * namespaces.
+ *
+ * Filters look like { 'metadata.tags': 'api', timestamp: { $gt: since },
+ * $or: [{ sessionId: 'a' }, { sessionId: 'b' }] }. Fields are dotted paths
+ * into the memory record (key, value, metadata, timestamp, sessionId, ...).
+ * A condition on an array field matches if any element matches.
+ */
+
+const MEMORY_QUERY_OPERATORS = ['$eq', '$ne', '$in', '$nin', '$gt', '$gte', '$lt', '$lte', '$regex', '$options', '$exists'];
+
+/**
+ * Whether a memory record matches a filter
+ * @param {Object} record - Memory record
+ * @param {Object} filter - Query filter
+ * @returns {boolean}
+ */
+function matchesQuery(record, filter = {}) {
+  for (const [field, condition] of Object.entries(filter)) {
+    if (field === '$and') {
+      if (!condition.every(child => matchesQuery(record, child))) return false;
+    } else if (field === '$or') {
+      if (!condition.some(child => matchesQuery(record, child))) return false;
+    } else if (field.startsWith('$')) {
+      throw new Error(`Unknown query operator "${field}"`);
+    } else if (!matchesCondition(getQueryField(record, field), condition)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Read a dotted path from a record
+ * @param {Object} record - Memory record
+ * @param {string} path - Field path (e.g. 'metadata.tags')
+ * @returns {*} Field value or undefined
+ */
+function getQueryField(record, path) {
+  let value = record;
+  for (const part of path.split('.')) {
+    if (value == null || typeof value !== 'object') return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+function matchesCondition(value, condition) {
+  const isOperatorObject = condition !== null && typeof condition === 'object' &&
+    !Array.isArray(condition) && !(condition instanceof RegExp) &&
+    Object.keys(condition).some(key => key.startsWith('$'));
+
+  if (condition instanceof RegExp) {
+    const pattern = statelessRegExp(condition);
+    return matchesAny(value, item => typeof item === 'string' && pattern.test(item));
+  }
+  if (!isOperatorObject) {
+    return matchesEquals(value, condition);
+  }
+
+  for (const [operator, operand] of Object.entries(condition)) {
+    if (!MEMORY_QUERY_OPERATORS.includes(operator)) {
+      throw new Error(`Unknown query operator "${operator}"`);
+    }
+
+    switch (operator) {
+      case '$eq':
+        if (!matchesEquals(value, operand)) return false;
+        break;
+      case '$ne':
+        if (matchesEquals(value, operand)) return false;
+        break;
+      case '$in':
+        if (!operand.some(option => matchesEquals(value, option))) return false;
+        break;
+      case '$nin':
+        if (operand.some(option => matchesEquals(value, option))) return false;
+        break;
+      case '$gt':
+        if (!matchesAny(value, item => compareQueryValues(item, operand) > 0)) return false;
+        break;
+      case '$gte':
+        if (!matchesAny(value, item => compareQueryValues(item, operand) >= 0)) return false;
+        break;
+      case '$lt':
+        if (!matchesAny(value, item => compareQueryValues(item, operand) < 0)) return false;
+        break;
+      case '$lte':
+        if (!matchesAny(value, item => compareQueryValues(item, operand) <= 0)) return false;
+        break;
+      case '$regex': {
+        const pattern = operand instanceof RegExp
+          ? statelessRegExp(operand)
+          : statelessRegExp(new RegExp(operand, condition.$options || ''));
+        if (!matchesAny(value, item => typeof item === 'string' && pattern.test(item))) return false;
+        break;
+      }
+      case '$exists':
+        if ((value !== undefined) !== !!operand) return false;
+        break;
+      default:
+        // $options is read by $regex
+        break;
+    }
+  }
+  return true;
+}
+
+// test() on a global or sticky RegExp resumes from lastIndex, so the
+// same filter would match differently from one record to the next
+function statelessRegExp(pattern) {
+  if (!pattern.global && !pattern.sticky) return pattern;
+  return new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+}
+
+function matchesAny(value, test, includeSelf = true) {
+  if (Array.isArray(value)) return value.some(test);
+  return includeSelf && test(value);
+}
+
+function matchesEquals(value, operand) {
+  return queryEquals(value, operand) || matchesAny(value, item => queryEquals(item, operand), false);
+}
+
+function queryEquals(a, b) {
+  if (a === b) return true;
+  // null matches a missing field as well
+  if (b === null) return a == null;
+  if (a instanceof Date || b instanceof Date) return compareQueryValues(a, b) === 0;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function compareQueryValues(a, b) {
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+  if (a == null || b == null) return NaN;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'string' && typeof b === 'string') return a.localeCompare(b);
+  return NaN;
+}
+
+/**
+ * Sort memory records
+ * @param {Array} records - Memory records
+ * @param {string|Object} sort - 'field' / '-field' (descending), or { field: 1 | -1, ... }
+ * @returns {Array} The sorted records
+ */
+function sortMemories(records, sort) {
+  if (!sort) return records;
+
+  const keys = typeof sort === 'string'
+    ? [sort.startsWith('-') ? [sort.slice(1), -1] : [sort, 1]]
+    : Object.entries(sort);
+
+  return records.sort((a, b) => {
+    for (const [field, direction] of keys) {
+      const left = getQueryField(a, field);
+      const right = getQueryField(b, field);
+      // Records without the field sort last either way
+      if (left === undefined || right === undefined) {
+        if (left !== right) return left === undefined ? 1 : -1;
+        continue;
+      }
+
+      const order = compareQueryValues(left, right);
+      const result = Number.isNaN(order) ? String(left).localeCompare(String(right)) : order;
+      if (result !== 0) return direction < 0 ? -result : result;
+    }
+    return 0;
+  });
+}
+
+class MemoryFieldIndex {
+  /**
+   * @param {Array<string>} fields - Indexed field paths (default tags, session and namespace)
+   */
+  constructor(fields = ['metadata.tags', 'sessionId', 'namespace']) {
+    this.fields = fields;
+    this.entries = new Map(fields.map(field => [field, new Map()]));
+    this.keys = new Map();
+  }
+
+  /**
+   * Index (or re-index) a memory
+   * @param {string} key - Memory key
+   * @param {Object} memory - Memory record
+   */
+  add(key, memory) {
+    this.remove(key);
+
+    const indexed = [];
+    for (const field of this.fields) {
+      const raw = getQueryField(memory, field);
+      const values = Array.isArray(raw) ? new Set(raw) : [raw === undefined ? null : raw];
+      for (const value of values) {
+        const entries = this.entries.get(field);
+        if (!entries.has(value)) entries.set(value, new Set());
+        entries.get(value).add(key);
+        indexed.push([field, value]);
+      }
+    }
+    this.keys.set(key, indexed);
+  }
+
+  /**
+   * Drop a memory from the index
+   * @param {string} key - Memory key
+   */
+  remove(key) {
+    for (const [field, value] of this.keys.get(key) || []) {
+      const entries = this.entries.get(field);
+      const keys = entries.get(value);
+      keys.delete(key);
+      if (keys.size === 0) entries.delete(value);
+    }
+    this.keys.delete(key);
+  }
+
+  /**
+   * Remove everything from the index
+   */
+  clear() {
+    for (const entries of this.entries.values()) entries.clear();
+    this.keys.clear();
+  }
+
+  /**
+   * Keys that can match a filter, from equality and $in conditions on
+   * indexed fields
+   * @param {Object} filter - Query filter
+   * @returns {Set<string>|null} Candidate keys, or null when a full scan is needed
+   */
+  candidates(filter = {}) {
+    let result = null;
+    const narrow = keys => {
+      if (!keys) return;
+      result = result ? new Set(Array.from(result).filter(key => keys.has(key))) : keys;
+    };
+
+    for (const [field, condition] of Object.entries(filter)) {
+      if (field === '$and') {
+        condition.forEach(child => narrow(this.candidates(child)));
+      } else if (field === '$or') {
+        const branches = condition.map(child => this.candidates(child));
+        if (branches.every(Boolean)) {
+          narrow(new Set(branches.flatMap(branch => Array.from(branch))));
+        }
+      } else if (this.entries.has(field)) {
+        narrow(this._lookup(field, condition));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Get index statistics
+   * @returns {Object} Distinct values per indexed field
+   */
+  getStats() {
+    const stats = {};
+    for (const [field, entries] of this.entries) stats[field] = entries.size;
+    return stats;
+  }
+
+  // Private methods
+
+  _lookup(field, condition) {
+    let values;
+    if (condition === null || typeof condition !== 'object') {
+      values = [condition];
+    } else if (Array.isArray(condition.$in) && Object.keys(condition).length === 1) {
+      values = condition.$in;
+    } else if ('$eq' in condition && Object.keys(condition).length === 1) {
+      values = [condition.$eq];
+    } else {
+      return null;
+    }
+
+    // The index is keyed by identity, so arrays, objects and dates (matched
+    // structurally by matchesQuery) need a full scan
+    if (values.some(value => value !== null && typeof value === 'object')) {
+      return null;
+    }
+
+    const entries = this.entries.get(field);
+    const keys = new Set();
+    for (const value of values) {
+      for (const key of entries.get(value) || []) keys.add(key);
+    }
+    return keys;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MemoryFieldIndex,
+    matchesQuery,
+    getQueryField,
+    sortMemories
+  };
+} else {
+  window.MemoryFieldIndex = MemoryFieldIndex;
+  window.matchesQuery = matchesQuery;
+  window.getQueryField = getQueryField;
+  window.sortMemories = sortMemories;
+}
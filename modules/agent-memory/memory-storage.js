@@ -0,0 +1,403 @@
+/**
+ * Memory Storage Module
+ * Storage adapters persisting AgentMemory records per key in the
+ * Comet Platform.
+ *
+ * Every adapter stores the record kinds in MEMORY_STORAGE_KINDS (memories,
+ * sessions, the knowledge graph's entities and relations, version histories,
+ * snapshots, namespace grants and compacted session archives) and implements:
+ * - load() -> Promise<{ memories: [[key, value]], sessions: [[key, value]], ... }>
+ * - write(changes) -> Promise, changes = [{ kind, key, value }] (value null deletes)
+ * - clear(kinds) -> Promise
+ * - estimateSize() -> number|null (optional)
+ * - loadSync() (optional, for adapters that can load without blocking on I/O)
+ */
+
+const MEMORY_STORAGE_KINDS = ['memories', 'sessions', 'entities', 'relations', 'versions', 'snapshots', 'namespaces', 'archives'];
+
+class InMemoryStorageAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.data = {};
+    for (const kind of MEMORY_STORAGE_KINDS) {
+      this.data[kind] = new Map();
+    }
+  }
+
+  loadSync() {
+    const result = {};
+    for (const kind of MEMORY_STORAGE_KINDS) {
+      result[kind] = Array.from(this.data[kind].entries()).map(([key, json]) => [key, JSON.parse(json)]);
+    }
+    return result;
+  }
+
+  async load() {
+    return this.loadSync();
+  }
+
+  async write(changes) {
+    for (const { kind, key, value } of changes) {
+      if (value == null) {
+        this.data[kind].delete(key);
+      } else {
+        // Stored serialized so callers never share references with storage
+        this.data[kind].set(key, JSON.stringify(value));
+      }
+    }
+  }
+
+  async clear(kinds = MEMORY_STORAGE_KINDS) {
+    for (const kind of kinds) {
+      this.data[kind].clear();
+    }
+  }
+
+  estimateSize() {
+    let size = 0;
+    for (const kind of MEMORY_STORAGE_KINDS) {
+      for (const json of this.data[kind].values()) {
+        size += json.length;
+      }
+    }
+    return size;
+  }
+}
+
+class LocalStorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.storageKey - Prefix for the per-record localStorage keys
+   */
+  constructor(options = {}) {
+    this.name = 'localstorage';
+    this.storageKey = options.storageKey || 'comet_agent_memory';
+  }
+
+  loadSync() {
+    this._migrateLegacy();
+
+    const result = {};
+    for (const kind of MEMORY_STORAGE_KINDS) {
+      result[kind] = [];
+    }
+    for (const storageKey of this._keys()) {
+      const [kind, key] = this._parseKey(storageKey);
+      try {
+        result[kind].push([key, JSON.parse(localStorage.getItem(storageKey))]);
+      } catch (error) {
+        console.error(`[MemoryStorage] Skipping unreadable record "${storageKey}":`, error);
+      }
+    }
+    return result;
+  }
+
+  async load() {
+    return this.loadSync();
+  }
+
+  async write(changes) {
+    for (const { kind, key, value } of changes) {
+      const storageKey = `${this.storageKey}:${kind}:${key}`;
+      if (value == null) {
+        localStorage.removeItem(storageKey);
+      } else {
+        localStorage.setItem(storageKey, JSON.stringify(value));
+      }
+    }
+  }
+
+  async clear(kinds = MEMORY_STORAGE_KINDS) {
+    for (const storageKey of this._keys()) {
+      if (kinds.includes(this._parseKey(storageKey)[0])) {
+        localStorage.removeItem(storageKey);
+      }
+    }
+  }
+
+  estimateSize() {
+    return this._keys().reduce((size, storageKey) => size + (localStorage.getItem(storageKey) || '').length, 0);
+  }
+
+  // Private methods
+
+  _keys() {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const storageKey = localStorage.key(i);
+      if (storageKey && MEMORY_STORAGE_KINDS.some(kind => storageKey.startsWith(`${this.storageKey}:${kind}:`))) {
+        keys.push(storageKey);
+      }
+    }
+    return keys;
+  }
+
+  _parseKey(storageKey) {
+    const rest = storageKey.slice(this.storageKey.length + 1);
+    const separator = rest.indexOf(':');
+    return [rest.slice(0, separator), rest.slice(separator + 1)];
+  }
+
+  _migrateLegacy() {
+    // Earlier versions kept everything in one JSON blob under storageKey
+    const legacy = localStorage.getItem(this.storageKey);
+    if (!legacy) return;
+
+    try {
+      const data = JSON.parse(legacy);
+      for (const kind of MEMORY_STORAGE_KINDS) {
+        for (const [key, value] of data[kind] || []) {
+          localStorage.setItem(`${this.storageKey}:${kind}:${key}`, JSON.stringify(value));
+        }
+      }
+      localStorage.removeItem(this.storageKey);
+      console.log('[MemoryStorage] Migrated legacy localStorage data to per-key records');
+    } catch (error) {
+      console.error('[MemoryStorage] Failed to migrate legacy data:', error);
+    }
+  }
+}
+
+class IndexedDBStorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.storageKey - IndexedDB database name
+   */
+  constructor(options = {}) {
+    this.name = 'indexeddb';
+    this.storageKey = options.storageKey || 'comet_agent_memory';
+    this.db = null;
+  }
+
+  async load() {
+    const db = await this._openDatabase();
+    const result = {};
+
+    for (const kind of MEMORY_STORAGE_KINDS) {
+      const [keys, values] = await Promise.all([
+        this._request(db, [kind], 'readonly', tx => tx.objectStore(kind).getAllKeys()),
+        this._request(db, [kind], 'readonly', tx => tx.objectStore(kind).getAll())
+      ]);
+      result[kind] = keys.map((key, index) => [key, values[index]]);
+    }
+    return result;
+  }
+
+  async write(changes) {
+    if (changes.length === 0) return;
+
+    const db = await this._openDatabase();
+    // One transaction per batch: the whole flush lands or none of it
+    await this._request(db, MEMORY_STORAGE_KINDS, 'readwrite', tx => {
+      for (const { kind, key, value } of changes) {
+        if (value == null) {
+          tx.objectStore(kind).delete(key);
+        } else {
+          // JSON round-trip keeps the same semantics as localStorage (no DataCloneError)
+          tx.objectStore(kind).put(JSON.parse(JSON.stringify(value)), key);
+        }
+      }
+    });
+  }
+
+  async clear(kinds = MEMORY_STORAGE_KINDS) {
+    const db = await this._openDatabase();
+    await this._request(db, kinds, 'readwrite', tx => {
+      for (const kind of kinds) {
+        tx.objectStore(kind).clear();
+      }
+    });
+  }
+
+  estimateSize() {
+    return null;
+  }
+
+  // Private methods
+
+  _openDatabase() {
+    if (this.db) return Promise.resolve(this.db);
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    return new Promise((resolve, reject) => {
+      // Version 2 added the knowledge graph stores, version 3 versions and
+      // snapshots, version 4 namespaces, version 5 archives
+      const request = indexedDB.open(this.storageKey, 5);
+      request.onupgradeneeded = () => {
+        for (const kind of MEMORY_STORAGE_KINDS) {
+          if (!request.result.objectStoreNames.contains(kind)) {
+            request.result.createObjectStore(kind);
+          }
+        }
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  _request(db, stores, mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(stores, mode);
+      const request = operation(transaction);
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+}
+
+class FileManagerStorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {Object} options.fileManager - CometFileManager API (defaults to window.CometFileManager)
+   * @param {string} options.storageKey - Used to name the storage directory
+   * @param {string} options.directory - Storage directory under comet-platform/
+   */
+  constructor(options = {}) {
+    this.name = 'file-manager';
+    this.fileManager = options.fileManager ||
+      (typeof window !== 'undefined' ? window.CometFileManager : null);
+    this.directory = options.directory ||
+      `comet-platform/.agent-memory/${options.storageKey || 'comet_agent_memory'}`;
+    this.index = null;
+  }
+
+  async load() {
+    const index = this._readIndex();
+    const result = {};
+
+    for (const kind of MEMORY_STORAGE_KINDS) {
+      result[kind] = [];
+      for (const key of index[kind]) {
+        try {
+          result[kind].push([key, JSON.parse(this._fs().readFile(this._path(kind, key)))]);
+        } catch (error) {
+          console.error(`[MemoryStorage] Skipping unreadable ${kind} record "${key}":`, error);
+        }
+      }
+    }
+    return result;
+  }
+
+  async write(changes) {
+    const index = this._readIndex();
+    let indexChanged = false;
+
+    for (const { kind, key, value } of changes) {
+      const keys = new Set(index[kind]);
+      if (value == null) {
+        this._fs().remove(this._path(kind, key));
+        indexChanged = keys.delete(key) || indexChanged;
+      } else {
+        this._fs().writeFile(this._path(kind, key), JSON.stringify(value));
+        if (!keys.has(key)) {
+          keys.add(key);
+          indexChanged = true;
+        }
+      }
+      index[kind] = Array.from(keys);
+    }
+
+    // The index only changes when keys are added or removed
+    if (indexChanged) {
+      this._writeIndex(index);
+    }
+  }
+
+  async clear(kinds = MEMORY_STORAGE_KINDS) {
+    const index = this._readIndex();
+    for (const kind of kinds) {
+      for (const key of index[kind]) {
+        this._fs().remove(this._path(kind, key));
+      }
+      index[kind] = [];
+    }
+    this._writeIndex(index);
+  }
+
+  estimateSize() {
+    return null;
+  }
+
+  // Private methods
+
+  _fs() {
+    if (!this.fileManager) {
+      throw new Error('CometFileManager is not available');
+    }
+    return this.fileManager;
+  }
+
+  _path(kind, key) {
+    // Dots are escaped too so keys can never form ".." segments
+    return `${this.directory}/${kind}/${encodeURIComponent(key).replace(/\./g, '%2E')}.json`;
+  }
+
+  _readIndex() {
+    if (this.index) return this.index;
+
+    try {
+      this.index = JSON.parse(this._fs().readFile(`${this.directory}/index.json`));
+    } catch (error) {
+      this.index = {};
+    }
+    for (const kind of MEMORY_STORAGE_KINDS) {
+      this.index[kind] = this.index[kind] || [];
+    }
+    return this.index;
+  }
+
+  _writeIndex(index) {
+    this.index = index;
+    this._fs().writeFile(`${this.directory}/index.json`, JSON.stringify(index));
+  }
+}
+
+/**
+ * Create a storage adapter by name
+ * @param {string|Object} storage - 'localstorage', 'indexeddb', 'memory', 'file-manager' or an adapter instance
+ * @param {Object} options - Adapter options (storageKey, fileManager, directory)
+ * @returns {Object} Storage adapter
+ */
+function createMemoryStorage(storage = 'localstorage', options = {}) {
+  if (storage && typeof storage === 'object') return storage;
+
+  switch (storage) {
+    case 'memory':
+      return new InMemoryStorageAdapter(options);
+    case 'indexeddb':
+      return new IndexedDBStorageAdapter(options);
+    case 'file-manager':
+      return new FileManagerStorageAdapter(options);
+    case 'localstorage':
+      if (typeof localStorage === 'undefined') {
+        console.warn('[MemoryStorage] localStorage unavailable, keeping memories in memory');
+        return new InMemoryStorageAdapter(options);
+      }
+      return new LocalStorageAdapter(options);
+    default:
+      throw new Error(`Unknown memory storage "${storage}"`);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    InMemoryStorageAdapter,
+    LocalStorageAdapter,
+    IndexedDBStorageAdapter,
+    FileManagerStorageAdapter,
+    createMemoryStorage
+  };
+} else {
+  window.InMemoryStorageAdapter = InMemoryStorageAdapter;
+  window.LocalStorageAdapter = LocalStorageAdapter;
+  window.IndexedDBStorageAdapter = IndexedDBStorageAdapter;
+  window.FileManagerStorageAdapter = FileManagerStorageAdapter;
+  window.createMemoryStorage = createMemoryStorage;
+}
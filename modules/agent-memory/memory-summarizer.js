@@ -0,0 +1,121 @@
+/**
+ * Memory Summarizer Module
+ * Default summarizer for AgentMemory session compaction in the Comet
+ * Platform. Extractive and deterministic: it picks the sentences whose
+ * terms are most frequent across the session, so it runs offline and the
+ * same session always yields the same digest.
+ *
+ * Any summarizer used for compaction implements
+ * summarize({ session, memories, context }) -> { summary, keyPoints, terms }
+ * (or a Promise of it).
+ */
+
+const resolveSummarizerTokenizer = () => {
+  const Index = typeof MemoryIndex !== 'undefined'
+    ? MemoryIndex
+    : (typeof module !== 'undefined' && module.exports ? require('./memory-index.js') : null);
+  if (Index) {
+    const index = new Index();
+    return text => index.tokenize(text);
+  }
+  return text => String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(token => token.length > 1);
+};
+
+class ExtractiveSummarizer {
+  /**
+   * @param {Object} options - Summarizer options
+   * @param {number} options.maxSentences - Sentences in the summary (default 5)
+   * @param {number} options.maxTerms - Top terms reported (default 8)
+   */
+  constructor(options = {}) {
+    this.maxSentences = options.maxSentences || 5;
+    this.maxTerms = options.maxTerms || 8;
+    this.tokenize = resolveSummarizerTokenizer();
+  }
+
+  /**
+   * Summarize a session's memories and context
+   * @param {Object} input - { session, memories: [{ key, value, metadata, timestamp }], context }
+   * @returns {Object} { summary, keyPoints, terms }
+   */
+  summarize(input = {}) {
+    // Context entries are summarized like memories, labelled with their name
+    const items = [
+      ...(input.memories || []),
+      ...Object.entries(input.context || {}).map(([key, value]) => ({ key, value, label: key }))
+    ];
+
+    const sentences = [];
+    const seen = new Set();
+    for (const memory of items) {
+      for (const text of this._sentences(memory)) {
+        if (seen.has(text)) continue;
+        seen.add(text);
+        sentences.push({ text, order: sentences.length, tokens: this.tokenize(text) });
+      }
+    }
+
+    const frequencies = new Map();
+    for (const sentence of sentences) {
+      for (const token of sentence.tokens) {
+        frequencies.set(token, (frequencies.get(token) || 0) + 1);
+      }
+    }
+    const maxFrequency = Math.max(1, ...frequencies.values());
+
+    for (const sentence of sentences) {
+      const unique = new Set(sentence.tokens);
+      let score = 0;
+      for (const token of unique) score += frequencies.get(token) / maxFrequency;
+      // Dampen length so long sentences don't win by size alone
+      sentence.score = unique.size ? score / Math.sqrt(sentence.tokens.length) : 0;
+    }
+
+    const keyPoints = sentences
+      .slice()
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .slice(0, this.maxSentences)
+      .sort((a, b) => a.order - b.order)
+      .map(sentence => sentence.text);
+
+    const terms = Array.from(frequencies.entries())
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, this.maxTerms)
+      .map(([term]) => term);
+
+    return { summary: keyPoints.join(' '), keyPoints, terms };
+  }
+
+  // Private methods
+
+  _sentences(memory) {
+    const parts = [];
+    const visit = (value, path) => {
+      if (value == null) return;
+      if (typeof value === 'string') {
+        parts.push(path ? `${path}: ${value}` : value);
+      } else if (typeof value === 'number' || typeof value === 'boolean') {
+        parts.push(`${path || memory.key}: ${value}`);
+      } else if (Array.isArray(value)) {
+        value.forEach(item => visit(item, path));
+      } else if (typeof value === 'object') {
+        for (const [field, nested] of Object.entries(value)) {
+          visit(nested, path ? `${path}.${field}` : field);
+        }
+      }
+    };
+    visit(memory.value, memory.label || '');
+
+    return parts
+      .flatMap(part => part.split(/(?<=[.!?])\s+|\n+/))
+      .map(text => text.trim())
+      .filter(Boolean);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExtractiveSummarizer;
+} else {
+  window.ExtractiveSummarizer = ExtractiveSummarizer;
+}
@@ -1,7 +1,7 @@
 /* AI Supervisor v2 – Temporal & Policy-Aware System (sandbox, no external deps) */
 (function(){
   const state = window.CometSupervisorState = window.CometSupervisorState || {
-    events: [],            // {id, module, action, payload, ts}
+    events: [],            // {id, module, action, payload, ts, traceId?, spanId?, parentSpanId?}
     approvals: [],         // {eventId, approvedBy, ts, policyTag?, auto: boolean}
     rollbacks: [],         // {eventId, ts, reason}
     insights: [],          // {id, ts, text, kind: 'temporal'|'policy'|'recommendation'}
@@ -25,8 +25,11 @@
   window.CometSupervisor = window.CometSupervisor || {};
   const api = window.CometSupervisor;
 
-  api.recordEvent = function(module, action, payload){
-    const evt = { id: 'e_'+Math.random().toString(36).slice(2), module, action, payload: clone(payload), ts: now() };
+  // trace: optional {traceId, spanId, parentSpanId}; falls back to ids carried in the payload (hub messages)
+  api.recordEvent = function(module, action, payload, trace){
+    const t = trace || payload || {};
+    const evt = { id: 'e_'+Math.random().toString(36).slice(2), module, action, payload: clone(payload), ts: now(),
+      traceId: t.traceId||null, spanId: t.spanId||null, parentSpanId: t.parentSpanId||null };
     state.events.push(evt);
     trimArrays();
     analyzeTemporal(evt);
@@ -45,6 +48,12 @@
     return true;
   };
 
+  // Events of one trace in causal order: each entry lists the ids of the events it caused
+  api.getTrace = function(traceId){
+    const evts = state.events.filter(e=>e.traceId===traceId);
+    return evts.map(e=>({ ...clone(e), children: evts.filter(c=>c.parentSpanId && c.parentSpanId===e.spanId).map(c=>c.id) }));
+  };
+
   api.getState = function(){ return JSON.parse(JSON.stringify(state)); };
   api.onChange = function(fn){ if(typeof fn==='function'){ state.listeners.push(fn); fn(state);} };
   api.updatePolicies = function(newPolicies){
@@ -53,6 +62,32 @@
     notify();
   };
 
+  // Observe an EventBus instance: request/reply exchanges land on the timeline with their correlation ids,
+  // failed deliveries as dead letters, plugin permission denials as policy events and plugin quarantines
+  api.connectEventBus = function(bus){
+    if(!bus || typeof bus.on!=='function') return ()=>{};
+    const offs = [
+      bus.on('rpc:request', (d,e)=>{ api.recordEvent('event-bus', 'rpc:request', d, e); }),
+      bus.on('rpc:response', (d,e)=>{ api.recordEvent('event-bus', 'rpc:response', d, e); }),
+      bus.on('eventbus:deadletter', (d,e)=>{
+        api.recordEvent('event-bus', 'deadletter', d, e);
+        addInsight(`Dead letter ${d.id}: listener for "${d.eventName}" failed after ${d.attempts} attempt(s) — ${d.error}`, 'recommendation');
+        notify();
+      }),
+      bus.on('plugin:permission:denied', (d,e)=>{
+        api.recordEvent('plugin-manager', 'policy:denied', d, e);
+        addInsight(`Plugin ${d.pluginId} denied ${d.action}: missing "${d.permission}"`, 'policy');
+        notify();
+      }),
+      bus.on('plugin:quarantined', (d,e)=>{
+        api.recordEvent('plugin-manager', 'plugin:quarantined', d, e);
+        addInsight(`Plugin ${d.pluginId} quarantined: ${d.reason}`, 'recommendation');
+        notify();
+      })
+    ];
+    return ()=>offs.forEach(off=>off());
+  };
+
   // Temporal correlation and insights
   function analyzeTemporal(newEvt){
     const wsecs = state.policies.temporalWindows || [5,15,60];
@@ -65,14 +100,22 @@
         addInsight(`${newEvt.module}:${newEvt.action} occurred ${repeats.length} times within ${win}s`, 'temporal');
       }
       // cross-module trigger heuristic: A emits then B acts quickly
+      // (traced events are linked through their trace instead, see below)
       for(const e of windowEvents){
-        if(e===newEvt) continue;
+        if(e===newEvt || (e.traceId && newEvt.traceId)) continue;
         const dt = (newEvt.ts - e.ts)/1000;
         if(dt<=win && dt>0){
           addInsight(`${e.module}:${e.action} → ${newEvt.module}:${newEvt.action} within ${dt.toFixed(1)}s`, 'temporal');
         }
       }
     }
+    // causal link: the event's parent span is known
+    if(newEvt.parentSpanId){
+      const parent = state.events.find(e=>e.spanId===newEvt.parentSpanId);
+      if(parent){
+        addInsight(`${parent.module}:${parent.action} → ${newEvt.module}:${newEvt.action} (trace ${newEvt.traceId})`, 'temporal');
+      }
+    }
     // signature detection
     for(const sig of (state.policies.sequenceSignatures||[])){
       matchSignature(sig, newEvt);
@@ -164,7 +207,10 @@
   function buildTimelineHTML(){
     // Merge actions, approvals, insights by time
     const items = [];
-    for(const e of state.events){ items.push({ts:e.ts, html:`<div class="evt">[Action] ${e.module}:${e.action} ${escapeHtml(compactPayload(e.payload))}</div>`}); }
+    for(const e of state.events){
+      const tag = e.traceId ? `<span class="trace" title="${escapeAttr(e.traceId)}">#${escapeHtml(e.traceId.slice(-6))}</span> ` : '';
+      items.push({ts:e.ts, html:`<div class="evt">${tag}[Action] ${e.module}:${e.action} ${escapeHtml(compactPayload(e.payload))}</div>`});
+    }
     for(const a of state.approvals){ items.push({ts:a.ts, html:`<div class="appr">[Approval] ${a.eventId} ${a.policyTag||''}</div>`}); }
     for(const i of state.insights){ items.push({ts:i.ts, html:`<div class="ins ${i.kind}">[Insight:${i.kind}] ${escapeHtml(i.text)}</div>`}); }
     for(const r of state.rollbacks){ items.push({ts:r.ts, html:`<div class="rb">[Rollback] ${r.eventId} — ${escapeHtml(r.reason||'')}</div>`}); }
@@ -240,18 +240,20 @@ window.addEventListener('message', function(event) {
     if (!d || d.type !== 'request') return;
     const requestId = d.requestId || null;
     const replyTo = d._replyTo || null;
+    // Reply continues the requester's trace as a child of its request span
+    const trace = EventBus.childSpan(d);
     (async () => {
         try {
             if (d.action === 'open') {
                 const res = window.CometCodeEditor.openFilePath(d.params.path);
                 // reply via hub
-                event.source.postMessage({ type: 'response', requestId, result: res, _replyTo: replyTo }, '*');
+                event.source.postMessage({ type: 'response', requestId, result: res, _replyTo: replyTo, ...trace }, '*');
             } else if (d.action === 'save') {
                 const res = window.CometCodeEditor.saveFileContent(d.params.path, d.params.content);
-                event.source.postMessage({ type: 'response', requestId, result: res, _replyTo: replyTo }, '*');
+                event.source.postMessage({ type: 'response', requestId, result: res, _replyTo: replyTo, ...trace }, '*');
             }
         } catch (err) {
-            event.source.postMessage({ type: 'response', requestId, error: err.message, _replyTo: replyTo }, '*');
+            event.source.postMessage({ type: 'response', requestId, error: err.message, _replyTo: replyTo, ...trace }, '*');
         }
     })();
 });
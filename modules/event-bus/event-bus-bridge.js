@@ -0,0 +1,259 @@
+/**
+ * Event Bus Bridge Module
+ * Connects EventBus instances running in different windows, tabs and
+ * iframes of the Comet Platform over BroadcastChannel and postMessage.
+ */
+
+class EventBusBridge {
+  /**
+   * @param {Object} eventBus - Local EventBus instance to bridge
+   * @param {Object} options - Bridge options
+   * @param {string} options.channel - Channel name shared by all bridged buses
+   * @param {boolean} options.broadcast - Use BroadcastChannel for same-origin tabs (default true)
+   * @param {Array} options.targets - Windows to post to, as Window or { window, origin }
+   * @param {Array<string>} options.allowedOrigins - Origins accepted for postMessage traffic
+   * @param {Array<string>|Function} options.forward - Event patterns (or predicate) to send out
+   * @param {Array<string>} options.exclude - Event patterns never sent out
+   * @param {boolean} options.relay - Pass events received from one peer on to the others (hub windows)
+   */
+  constructor(eventBus, options = {}) {
+    this.eventBus = eventBus;
+    this.channelName = options.channel || 'comet-event-bus';
+    this.bridgeId = options.bridgeId || `bridge_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.useBroadcast = options.broadcast !== false;
+    this.allowedOrigins = options.allowedOrigins || [this._localOrigin()];
+    this.forward = options.forward || ['**'];
+    this.exclude = options.exclude || ['rpc:*', 'bridge:*'];
+    this.relay = !!options.relay;
+    this.targets = [];
+    this.seen = new Set();
+    this.seenLimit = 500;
+    this.sequence = 0;
+    this.channel = null;
+    this.connected = false;
+    this.stats = { sent: 0, received: 0, duplicates: 0, rejected: 0 };
+
+    this._unsubscribe = null;
+    this._onMessage = this._onMessage.bind(this);
+
+    for (const target of options.targets || []) {
+      this.addTarget(target.window || target, target.origin);
+    }
+  }
+
+  /**
+   * Start forwarding and receiving events
+   * @returns {EventBusBridge} The bridge instance
+   */
+  connect() {
+    if (this.connected) return this;
+
+    if (this.useBroadcast && typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this.channelName);
+      this.channel.onmessage = event => this._receive(event.data);
+    }
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('message', this._onMessage);
+    }
+
+    this._unsubscribe = this.eventBus.on('*', (data, event) => this._send(event));
+    this.connected = true;
+
+    console.log(`[EventBusBridge] Connected to channel "${this.channelName}"`);
+    return this;
+  }
+
+  /**
+   * Stop forwarding and receiving events
+   */
+  disconnect() {
+    if (!this.connected) return;
+
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('message', this._onMessage);
+    }
+
+    this.connected = false;
+    console.log(`[EventBusBridge] Disconnected from channel "${this.channelName}"`);
+  }
+
+  /**
+   * Add a window (opener, parent, iframe contentWindow) to post events to
+   * @param {Window} targetWindow - Window to post to
+   * @param {string} origin - Target origin (defaults to the first allowed origin)
+   */
+  addTarget(targetWindow, origin) {
+    if (!targetWindow || this.targets.some(t => t.window === targetWindow)) return;
+
+    this.targets.push({ window: targetWindow, origin: origin || this.allowedOrigins[0] || '*' });
+  }
+
+  /**
+   * Stop posting events to a window
+   * @param {Window} targetWindow - Window to remove
+   */
+  removeTarget(targetWindow) {
+    this.targets = this.targets.filter(t => t.window !== targetWindow);
+  }
+
+  /**
+   * Get bridge statistics
+   * @returns {Object} Bridge statistics
+   */
+  getStats() {
+    return {
+      bridgeId: this.bridgeId,
+      channel: this.channelName,
+      connected: this.connected,
+      targets: this.targets.length,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Bridge this window's shared bus (window.CometEventBus, created if missing).
+   * Module windows post to their opener or parent; the hub (options.hub)
+   * relays between peers and adds every window that registers with it.
+   * @param {Object} options - Bridge options, plus hub
+   * @returns {EventBusBridge} The connected bridge, also window.CometEventBridge
+   */
+  static attach(options = {}) {
+    if (window.CometEventBridge) return window.CometEventBridge;
+
+    const bus = window.CometEventBus || (window.CometEventBus = new EventBus());
+    const bridge = new EventBusBridge(bus, { relay: !!options.hub, ...options });
+
+    if (options.hub) {
+      window.addEventListener('message', event => {
+        if (!event.data || event.data.type !== 'register' || !event.source) return;
+        if (!bridge.allowedOrigins.includes('*') && !bridge.allowedOrigins.includes(event.origin)) return;
+        bridge.addTarget(event.source, event.origin);
+      });
+    } else {
+      const upstream = window.opener || (window.parent !== window ? window.parent : null);
+      if (upstream) bridge.addTarget(upstream);
+    }
+
+    window.CometEventBridge = bridge.connect();
+    return bridge;
+  }
+
+  // Private methods
+
+  _shouldForward(eventName) {
+    const matchPattern = this.eventBus.constructor.matchPattern;
+
+    if (this.exclude.some(pattern => matchPattern(pattern, eventName))) {
+      return false;
+    }
+
+    if (typeof this.forward === 'function') {
+      return !!this.forward(eventName);
+    }
+
+    return this.forward.some(pattern => matchPattern(pattern, eventName));
+  }
+
+  _send(event) {
+    // Events that arrived over the bridge only go back out when relaying;
+    // they keep their original id so peers drop the copies they already saw
+    const remote = event.options && event.options.bridge;
+    if (remote && !this.relay) return;
+    if (!this._shouldForward(event.name)) return;
+
+    const message = {
+      __cometBridge: true,
+      channel: this.channelName,
+      id: remote ? remote.id : `${this.bridgeId}:${++this.sequence}`,
+      source: remote ? remote.source : this.bridgeId,
+      name: event.name,
+      data: event.data,
+      timestamp: event.timestamp,
+      traceId: event.traceId,
+      spanId: event.spanId
+    };
+
+    this._markSeen(message.id);
+
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      }
+
+      for (const target of this.targets) {
+        if (target.window.closed) continue;
+        target.window.postMessage(message, target.origin);
+      }
+
+      this.stats.sent++;
+    } catch (error) {
+      console.error(`[EventBusBridge] Failed to forward "${event.name}":`, error);
+    }
+  }
+
+  _onMessage(event) {
+    const message = event.data;
+    if (!message || !message.__cometBridge) return;
+
+    if (!this.allowedOrigins.includes('*') && !this.allowedOrigins.includes(event.origin)) {
+      this.stats.rejected++;
+      console.warn(`[EventBusBridge] Rejected message from origin "${event.origin}"`);
+      return;
+    }
+
+    this._receive(message);
+  }
+
+  _receive(message) {
+    if (!message || !message.__cometBridge || message.channel !== this.channelName) return;
+    if (message.source === this.bridgeId) return;
+
+    if (this.seen.has(message.id)) {
+      this.stats.duplicates++;
+      return;
+    }
+    this._markSeen(message.id);
+
+    if (!this._shouldForward(message.name)) return;
+
+    this.stats.received++;
+    this.eventBus.emit(message.name, message.data, {
+      bridge: { id: message.id, source: message.source, timestamp: message.timestamp },
+      parent: message.traceId ? { traceId: message.traceId, spanId: message.spanId } : null
+    });
+  }
+
+  _markSeen(id) {
+    this.seen.add(id);
+
+    if (this.seen.size > this.seenLimit) {
+      this.seen.delete(this.seen.values().next().value);
+    }
+  }
+
+  _localOrigin() {
+    try {
+      return window.location.origin;
+    } catch (error) {
+      return '*';
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EventBusBridge;
+} else {
+  window.EventBusBridge = EventBusBridge;
+}
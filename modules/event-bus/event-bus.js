@@ -4,20 +4,57 @@
  * in the Comet Platform.
  */
 
+const resolveSchemaValidator = () => {
+  if (typeof validateSchema !== 'undefined') return validateSchema;
+  if (typeof module !== 'undefined' && module.exports) return require('./schema-validator.js').validateSchema;
+  return null;
+};
+
 class EventBus {
-  constructor() {
+  /**
+   * @param {Object} options - Bus options
+   * @param {string} options.deliveryMode - 'sequential', 'parallel' or 'fire-and-forget'
+   * @param {boolean} options.ordered - Queue deliveries per event name
+   * @param {number} options.listenerTimeout - Default listener timeout in ms (0 = none)
+   */
+  constructor(options = {}) {
+    this.deliveryMode = options.deliveryMode || 'sequential';
+    this.orderedDelivery = !!options.ordered;
+    this.listenerTimeout = options.listenerTimeout || 0;
+    this.eventQueues = new Map();
     this.listeners = new Map();
     this.onceListeners = new Map();
     this.middlewares = [];
     this.history = [];
     this.historyLimit = 100;
+    this.handlers = new Map();
+    this.pendingRequests = new Map();
+    this.requestTimeout = 5000;
+    this.deadLetters = [];
+    this.deadLetterLimit = 100;
+    this.schemas = new Map();
+    this.validationMode = 'warn';
+    this._validationInstalled = false;
+    this.traces = new Map();
+    this.traceLimit = 100;
+    this._activeSpan = null;
   }
 
   /**
    * Subscribe to an event
-   * @param {string} eventName - Event name to subscribe to
+   *
+   * Event names are colon-namespaced (e.g. "memory:session:started"). Besides
+   * exact names, a subscription may use a segment pattern: "*" matches exactly
+   * one segment ("memory:*", "*:enabled") and "**" matches any number of
+   * segments ("memory:**"). The bare "*" key remains the global wildcard.
+   *
+   * A failing callback (or one running past `options.timeout`) is retried according to `options.retry` (a count, or
+   * { count, backoff, factor } with backoff in ms); once retries are exhausted
+   * the delivery goes to the dead-letter queue.
+   *
+   * @param {string} eventName - Event name or pattern to subscribe to
    * @param {Function} callback - Function to call when event fires
-   * @param {Object} options - Additional options (priority, filter)
+   * @param {Object} options - Additional options (priority, filter, retry, timeout in ms)
    * @returns {Function} Unsubscribe function
    */
   on(eventName, callback, options = {}) {
@@ -29,6 +66,8 @@ class EventBus {
       callback,
       priority: options.priority || 0,
       filter: options.filter || null,
+      retry: this._normalizeRetry(options.retry),
+      timeout: options.timeout || 0,
       id: `${eventName}_${Date.now()}_${Math.random()}`
     };
 
@@ -46,21 +85,28 @@ class EventBus {
 
   /**
    * Subscribe to an event once (auto-unsubscribe after first fire)
-   * @param {string} eventName - Event name to subscribe to
+   * @param {string} eventName - Event name or pattern to subscribe to ('*' for the next event of any name)
    * @param {Function} callback - Function to call when event fires
+   * @param {Object} options - Additional options (priority, filter, retry, timeout in ms)
    * @returns {Function} Unsubscribe function
    */
-  once(eventName, callback) {
+  once(eventName, callback, options = {}) {
     if (!this.onceListeners.has(eventName)) {
       this.onceListeners.set(eventName, []);
     }
 
     const listener = {
       callback,
+      priority: options.priority || 0,
+      filter: options.filter || null,
+      retry: this._normalizeRetry(options.retry),
+      timeout: options.timeout || 0,
       id: `${eventName}_once_${Date.now()}_${Math.random()}`
     };
 
-    this.onceListeners.get(eventName).push(listener);
+    const listeners = this.onceListeners.get(eventName);
+    listeners.push(listener);
+    listeners.sort((a, b) => b.priority - a.priority);
     console.log(`[EventBus] Subscribed once to "${eventName}"`);
 
     return () => this.offOnce(eventName, listener.id);
@@ -99,79 +145,270 @@ class EventBus {
 
   /**
    * Emit an event
+   *
+   * Delivery strategies (options.delivery, defaulting to the bus setting):
+   * - "sequential": listeners are awaited one after another (default)
+   * - "parallel": all listeners run concurrently, emit resolves once all settle
+   * - "fire-and-forget": delivery runs in the background, emit resolves at once
+   *
+   * With options.ordered (or the bus-level `orderedDelivery`), deliveries of
+   * the same event name are queued so they complete in emit order even when
+   * listeners run concurrently. A listener must not await an ordered emit of
+   * the event it is handling, as that emit waits for the current one.
+   *
+   * Every event carries a traceId, its own spanId and the parentSpanId of the
+   * event that caused it. The parent is taken from options.parent, or from the
+   * listener currently running when emit is called synchronously inside it.
+   * After an await the running listener is no longer known, so handlers should
+   * use `event.emit(...)`, which always links the new event to `event`.
+   *
    * @param {string} eventName - Event name to emit
    * @param {*} data - Data to pass to listeners
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (delivery, ordered, parent: { traceId, spanId })
    * @returns {Promise<void>}
    */
   async emit(eventName, data, options = {}) {
+    const parent = options.parent || this._activeSpan;
     const event = {
       name: eventName,
       data,
       timestamp: Date.now(),
-      options
+      options,
+      traceId: (parent && parent.traceId) || this._createId('trace'),
+      spanId: this._createId('span'),
+      parentSpanId: (parent && parent.spanId) || null
     };
+    event.emit = (name, payload, emitOptions = {}) => this.emit(name, payload, { ...emitOptions, parent: event });
 
-    // Add to history
-    this._addToHistory(event);
+    this._recordSpan(event);
 
-    // Run through middlewares
-    let processedEvent = event;
-    for (const middleware of this.middlewares) {
-      try {
-        processedEvent = await middleware(processedEvent);
-        if (!processedEvent) {
-          console.log(`[EventBus] Event "${eventName}" blocked by middleware`);
-          return;
+    const mode = options.delivery || this.deliveryMode;
+    const ordered = options.ordered ?? this.orderedDelivery;
+
+    let delivery;
+    if (ordered) {
+      const previous = this.eventQueues.get(eventName) || Promise.resolve();
+      delivery = previous.catch(() => {}).then(() => this._process(event, mode));
+      this.eventQueues.set(eventName, delivery);
+
+      const release = () => {
+        if (this.eventQueues.get(eventName) === delivery) {
+          this.eventQueues.delete(eventName);
         }
-      } catch (error) {
-        console.error(`[EventBus] Middleware error for "${eventName}":`, error);
-      }
+      };
+      delivery.then(release, release);
+    } else {
+      delivery = this._process(event, mode);
     }
 
-    // Fire regular listeners
-    if (this.listeners.has(eventName)) {
-      const listeners = this.listeners.get(eventName);
-      for (const listener of listeners) {
-        // Check filter
-        if (listener.filter && !listener.filter(processedEvent.data)) {
-          continue;
-        }
+    if (mode === 'fire-and-forget') {
+      delivery.catch(error => console.error(`[EventBus] Background delivery failed for "${eventName}":`, error));
+      return;
+    }
 
-        try {
-          await listener.callback(processedEvent.data, processedEvent);
-        } catch (error) {
-          console.error(`[EventBus] Error in listener for "${eventName}":`, error);
-        }
-      }
+    await delivery;
+  }
+
+  /**
+   * Register the single responder for a request name
+   * @param {string} requestName - Request name to answer
+   * @param {Function} handler - Receives (data, { requestId, name }) and returns the reply
+   * @returns {Function} Unregister function
+   */
+  handle(requestName, handler) {
+    if (this.handlers.has(requestName)) {
+      throw new Error(`Handler already registered for "${requestName}"`);
     }
 
-    // Fire once listeners and remove them
-    if (this.onceListeners.has(eventName)) {
-      const listeners = this.onceListeners.get(eventName);
-      const listenersCopy = [...listeners];
-      this.onceListeners.set(eventName, []);
+    this.handlers.set(requestName, handler);
+    console.log(`[EventBus] Handler registered for "${requestName}"`);
 
-      for (const listener of listenersCopy) {
-        try {
-          await listener.callback(processedEvent.data, processedEvent);
-        } catch (error) {
-          console.error(`[EventBus] Error in once listener for "${eventName}":`, error);
+    return () => {
+      if (this.handlers.get(requestName) === handler) {
+        this.handlers.delete(requestName);
+        console.log(`[EventBus] Handler removed for "${requestName}"`);
+      }
+    };
+  }
+
+  /**
+   * Send a request and wait for its handler's reply
+   *
+   * Emits "rpc:request" and "rpc:response" with the correlation id so
+   * observers such as the AI Supervisor can follow each exchange.
+   *
+   * @param {string} requestName - Request name
+   * @param {*} data - Request payload
+   * @param {Object} options - Request options (timeout in ms, signal: AbortSignal)
+   * @returns {Promise<*>} Handler reply; rejects on timeout, abort, missing handler or handler error
+   */
+  request(requestName, data, options = {}) {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const timeout = options.timeout ?? this.requestTimeout;
+    const signal = options.signal || null;
+    const startTime = Date.now();
+
+    const parent = options.parent || this._activeSpan;
+    const span = {
+      name: requestName,
+      timestamp: startTime,
+      traceId: (parent && parent.traceId) || this._createId('trace'),
+      spanId: this._createId('span'),
+      parentSpanId: (parent && parent.spanId) || null
+    };
+    this._recordSpan(span);
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+
+      const settle = (status, error, result) => {
+        if (!this.pendingRequests.has(requestId)) return;
+        this.pendingRequests.delete(requestId);
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+
+        this.emit('rpc:response', {
+          requestId,
+          name: requestName,
+          status,
+          error: error ? error.message : null,
+          duration: Date.now() - startTime
+        }, { parent: span });
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
         }
+      };
+
+      const fail = (code, message) => {
+        const error = new Error(message);
+        error.code = code;
+        error.requestId = requestId;
+        settle(code.toLowerCase(), error);
+      };
+
+      const onAbort = () => fail('ABORTED', `Request "${requestName}" was aborted`);
+
+      this.pendingRequests.set(requestId, { name: requestName, startTime });
+      this.emit('rpc:request', { requestId, name: requestName, traceId: span.traceId }, { parent: span });
+
+      const handler = this.handlers.get(requestName);
+      if (!handler) {
+        fail('NO_HANDLER', `No handler registered for "${requestName}"`);
+        return;
       }
-    }
 
-    // Emit wildcard listeners
-    if (this.listeners.has('*')) {
-      const wildcardListeners = this.listeners.get('*');
-      for (const listener of wildcardListeners) {
-        try {
-          await listener.callback(processedEvent.data, processedEvent);
-        } catch (error) {
-          console.error(`[EventBus] Error in wildcard listener:`, error);
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+          return;
         }
+        signal.addEventListener('abort', onAbort, { once: true });
       }
+
+      if (timeout > 0) {
+        timer = setTimeout(
+          () => fail('TIMEOUT', `Request "${requestName}" timed out after ${timeout}ms`),
+          timeout
+        );
+      }
+
+      const context = { requestId, name: requestName, traceId: span.traceId, spanId: span.spanId };
+      Promise.resolve()
+        .then(() => this._runInSpan(span, () => handler(data, context)))
+        .then(
+          result => settle('ok', null, result),
+          error => {
+            const wrapped = error instanceof Error ? error : new Error(String(error));
+            wrapped.code = wrapped.code || 'HANDLER_ERROR';
+            wrapped.requestId = requestId;
+            settle('error', wrapped);
+          }
+        );
+    });
+  }
+
+  /**
+   * Get requests still waiting for a reply
+   * @returns {Array} Pending requests ({ requestId, name, startTime })
+   */
+  getPendingRequests() {
+    return Array.from(this.pendingRequests.entries()).map(([requestId, info]) => ({
+      requestId,
+      ...info
+    }));
+  }
+
+  /**
+   * Get deliveries that failed after all retries
+   * @param {string} eventName - Filter by event name or pattern (optional)
+   * @returns {Array} Dead letters ({ id, event, listenerId, listenerKey, error, attempts, timestamp })
+   */
+  getDeadLetters(eventName) {
+    return this.deadLetters
+      .filter(entry => !eventName || EventBus.matchPattern(eventName, entry.event.name))
+      .map(({ listener, ...entry }) => ({ ...entry, event: { ...entry.event } }));
+  }
+
+  /**
+   * Deliver a dead letter to its listener again, with the listener's
+   * timeout and retry policy, in the original event's span
+   * @param {string} deadLetterId - Dead letter ID
+   * @returns {Promise<boolean>} True if delivery succeeded and the letter was removed
+   */
+  async retryDeadLetter(deadLetterId) {
+    const entry = this.deadLetters.find(d => d.id === deadLetterId);
+    if (!entry) {
+      console.warn(`[EventBus] Dead letter "${deadLetterId}" not found`);
+      return false;
+    }
+
+    const event = { ...entry.event };
+    event.emit = (name, payload, emitOptions = {}) => this.emit(name, payload, { ...emitOptions, parent: event });
+    if (!await this._deliver(entry.listener, event, `retry of dead letter "${deadLetterId}"`, entry)) {
+      return false;
     }
+
+    this.discardDeadLetter(deadLetterId);
+    console.log(`[EventBus] Dead letter "${deadLetterId}" redelivered`);
+    return true;
+  }
+
+  /**
+   * Drop a dead letter without redelivering it
+   * @param {string} deadLetterId - Dead letter ID
+   * @returns {boolean} True if the letter existed
+   */
+  discardDeadLetter(deadLetterId) {
+    const index = this.deadLetters.findIndex(d => d.id === deadLetterId);
+    if (index === -1) return false;
+
+    this.deadLetters.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Drop all dead letters
+   */
+  clearDeadLetters() {
+    this.deadLetters = [];
+    console.log('[EventBus] Cleared dead letters');
+  }
+
+  /**
+   * Create a child bus for a module or plugin
+   *
+   * The child emits under `prefix:` and tracks its own subscriptions and
+   * handlers, so disposing it removes everything it registered.
+   *
+   * @param {string} prefix - Namespace for events emitted through the child
+   * @param {Object} options - Scope options (owner: id recorded as the event source)
+   * @returns {ScopedEventBus} Child bus
+   */
+  scope(prefix, options = {}) {
+    return new ScopedEventBus(this, prefix, options);
   }
 
   /**
@@ -183,6 +420,81 @@ class EventBus {
     console.log('[EventBus] Middleware added');
   }
 
+  /**
+   * Declare the payload contract for an event
+   *
+   * Schemas use a JSON-Schema subset: type, enum, const, required, properties,
+   * additionalProperties, items, minimum/maximum, minLength/maxLength, pattern
+   * and minItems/maxItems. Payloads are checked by a validation middleware that
+   * is installed on first use; in "warn" mode invalid events are logged and
+   * delivered, in "strict" mode they are blocked.
+   *
+   * @param {string} eventName - Event name
+   * @param {Object} schema - Payload schema
+   * @param {Object} options - Contract options (description, mode: 'warn'|'strict'|'off')
+   */
+  defineEvent(eventName, schema, options = {}) {
+    if (this.schemas.has(eventName)) {
+      console.warn(`[EventBus] Replacing contract for "${eventName}"`);
+    }
+
+    this.schemas.set(eventName, {
+      name: eventName,
+      schema,
+      description: options.description || '',
+      mode: options.mode || null
+    });
+
+    if (!this._validationInstalled) {
+      this._validationInstalled = true;
+      this.use(event => this._validationMiddleware(event));
+    }
+
+    console.log(`[EventBus] Defined contract for "${eventName}"`);
+  }
+
+  /**
+   * Validate a payload against an event's contract
+   * @param {string} eventName - Event name
+   * @param {*} data - Payload to check
+   * @returns {Object} { valid, errors } (valid when no contract exists)
+   */
+  validateEvent(eventName, data) {
+    const contract = this.schemas.get(eventName);
+    if (!contract) {
+      return { valid: true, errors: [] };
+    }
+
+    return this.validateSchema(contract.schema, data, 'data');
+  }
+
+  /**
+   * Validate any value against a schema using the contract validator
+   * @param {Object} schema - JSON-Schema subset (see defineEvent)
+   * @param {*} value - Value to check
+   * @param {string} path - Name used for the value in error messages
+   * @returns {Object} { valid, errors }
+   */
+  validateSchema(schema, value, path = 'value') {
+    const validate = resolveSchemaValidator();
+    if (!validate) {
+      // Fail closed: an unchecked value is not a valid one
+      return { valid: false, errors: ['schema-validator.js not loaded'] };
+    }
+    return validate(schema, value, path);
+  }
+
+  /**
+   * List all registered event contracts
+   * @returns {Array} Contracts ({ name, description, schema, mode })
+   */
+  getEventContracts() {
+    return Array.from(this.schemas.values()).map(contract => ({
+      ...contract,
+      mode: contract.mode || this.validationMode
+    }));
+  }
+
   /**
    * Remove all listeners for an event or all events
    * @param {string} eventName - Event name (optional)
@@ -215,6 +527,44 @@ class EventBus {
     return events.slice(-limit);
   }
 
+  /**
+   * Rebuild the causal tree of a trace
+   * @param {string} traceId - Trace ID
+   * @returns {Object|null} { traceId, spans, roots } where each node has children
+   */
+  getTrace(traceId) {
+    const spans = this.traces.get(traceId);
+    if (!spans) return null;
+
+    const nodes = new Map(spans.map(span => [span.spanId, { ...span, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+      const parent = node.parentSpanId && nodes.get(node.parentSpanId);
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+
+    return { traceId, spans: spans.length, roots };
+  }
+
+  /**
+   * List recorded traces, most recent last
+   * @param {number} limit - Max number of traces to return
+   * @returns {Array} Trace summaries ({ traceId, spans, startTime, rootName })
+   */
+  getTraces(limit = 10) {
+    return Array.from(this.traces.entries()).slice(-limit).map(([traceId, spans]) => ({
+      traceId,
+      spans: spans.length,
+      startTime: spans[0].timestamp,
+      rootName: spans[0].name
+    }));
+  }
+
   /**
    * Get statistics about listeners
    * @returns {Object} Listener statistics
@@ -224,31 +574,334 @@ class EventBus {
       totalEvents: this.listeners.size,
       totalListeners: 0,
       totalOnceListeners: 0,
+      totalPatterns: 0,
+      totalHandlers: this.handlers.size,
+      pendingRequests: this.pendingRequests.size,
+      deadLetters: this.deadLetters.length,
+      contracts: this.schemas.size,
       eventDetails: {}
     };
 
-    for (const [eventName, listeners] of this.listeners.entries()) {
-      stats.totalListeners += listeners.length;
-      stats.eventDetails[eventName] = {
-        listeners: listeners.length,
-        onceListeners: this.onceListeners.get(eventName)?.length || 0
-      };
-    }
+    const names = new Set([...this.listeners.keys(), ...this.onceListeners.keys()]);
+    for (const eventName of names) {
+      const listeners = this.listeners.get(eventName)?.length || 0;
+      const onceListeners = this.onceListeners.get(eventName)?.length || 0;
+      const pattern = this._isPattern(eventName);
 
-    for (const listeners of this.onceListeners.values()) {
-      stats.totalOnceListeners += listeners.length;
+      stats.totalListeners += listeners;
+      stats.totalOnceListeners += onceListeners;
+      if (pattern && (listeners > 0 || onceListeners > 0)) {
+        stats.totalPatterns++;
+      }
+
+      stats.eventDetails[eventName] = { listeners, onceListeners, pattern };
     }
 
     return stats;
   }
 
+  /**
+   * Span fields for work caused by a span from another window, e.g. a reply
+   * to a routed hub request carrying { traceId, spanId }
+   * @param {Object} parent - Causing span ({ traceId, spanId }), may be empty
+   * @returns {Object} { traceId, spanId, parentSpanId }
+   */
+  static childSpan(parent = {}) {
+    return {
+      traceId: parent.traceId || null,
+      spanId: EventBus.createId('span'),
+      parentSpanId: parent.spanId || null
+    };
+  }
+
+  /**
+   * Create a trace or span ID
+   * @param {string} prefix - ID prefix ('trace' or 'span')
+   * @returns {string} Unique ID
+   */
+  static createId(prefix) {
+    return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Check whether an event name matches a subscription pattern
+   * @param {string} pattern - Exact name or segment pattern ("memory:*", "plugin:**")
+   * @param {string} eventName - Concrete event name
+   * @returns {boolean} True if the pattern matches
+   */
+  static matchPattern(pattern, eventName) {
+    if (pattern === '*' || pattern === eventName) return true;
+    if (!pattern.includes('*')) return false;
+
+    const patternParts = pattern.split(':');
+    const nameParts = eventName.split(':');
+
+    const match = (i, j) => {
+      if (i === patternParts.length) return j === nameParts.length;
+
+      if (patternParts[i] === '**') {
+        for (let k = j; k <= nameParts.length; k++) {
+          if (match(i + 1, k)) return true;
+        }
+        return false;
+      }
+
+      if (j === nameParts.length) return false;
+      if (patternParts[i] !== '*' && patternParts[i] !== nameParts[j]) return false;
+      return match(i + 1, j + 1);
+    };
+
+    return match(0, 0);
+  }
+
   // Private methods
 
+  _isPattern(eventName) {
+    return eventName !== '*' && eventName.includes('*');
+  }
+
+  /**
+   * Gather exact and pattern listeners for an event, highest priority first.
+   * The global '*' key is left out; it is delivered separately.
+   */
+  _collectListeners(store, eventName) {
+    const collected = [];
+
+    for (const [key, listeners] of store.entries()) {
+      if (key === '*') continue;
+      if (key !== eventName && !(this._isPattern(key) && EventBus.matchPattern(key, eventName))) {
+        continue;
+      }
+      for (const listener of listeners) {
+        collected.push({ ...listener, key });
+      }
+    }
+
+    // Stable sort keeps subscription order among equal priorities
+    return collected.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  }
+
+  _validationMiddleware(event) {
+    const contract = this.schemas.get(event.name);
+    const mode = contract && (contract.mode || this.validationMode);
+    if (!contract || mode === 'off') {
+      return event;
+    }
+
+    const { valid, errors } = this.validateEvent(event.name, event.data);
+    if (valid) {
+      return event;
+    }
+
+    console.warn(`[EventBus] Invalid payload for "${event.name}":`, errors);
+    if (event.name !== 'eventbus:invalid') {
+      this.emit('eventbus:invalid', { eventName: event.name, errors, mode });
+    }
+
+    return mode === 'strict' ? null : event;
+  }
+
+  async _process(event, mode) {
+    const eventName = event.name;
+
+    // Add to history
+    this._addToHistory(event);
+
+    // Run through middlewares
+    let processedEvent = event;
+    for (const middleware of this.middlewares) {
+      try {
+        processedEvent = await middleware(processedEvent);
+        if (!processedEvent) {
+          console.log(`[EventBus] Event "${eventName}" blocked by middleware`);
+          return;
+        }
+      } catch (error) {
+        console.error(`[EventBus] Middleware error for "${eventName}":`, error);
+      }
+    }
+
+    const deliveries = [];
+
+    // Regular listeners (exact and pattern subscriptions)
+    for (const listener of this._collectListeners(this.listeners, eventName)) {
+      if (listener.filter && !listener.filter(processedEvent.data)) {
+        continue;
+      }
+      deliveries.push([listener, `listener for "${eventName}"`]);
+    }
+
+    // Once listeners are removed before they run
+    const onceListeners = this._collectListeners(this.onceListeners, eventName)
+      .filter(listener => !listener.filter || listener.filter(processedEvent.data));
+    for (const listener of onceListeners) {
+      this.offOnce(listener.key, listener.id);
+      deliveries.push([listener, `once listener for "${eventName}"`]);
+    }
+
+    // Wildcard listeners
+    for (const listener of this.listeners.get('*') || []) {
+      deliveries.push([{ ...listener, key: '*' }, 'wildcard listener']);
+    }
+    for (const listener of Array.from(this.onceListeners.get('*') || [])) {
+      this.offOnce('*', listener.id);
+      deliveries.push([{ ...listener, key: '*' }, 'wildcard once listener']);
+    }
+
+    if (mode === 'sequential') {
+      for (const [listener, label] of deliveries) {
+        await this._deliver(listener, processedEvent, label);
+      }
+    } else {
+      await Promise.allSettled(
+        deliveries.map(([listener, label]) => this._deliver(listener, processedEvent, label))
+      );
+    }
+  }
+
+  _withTimeout(promise, timeout, label) {
+    if (!timeout) return promise;
+
+    let timer = null;
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeout}ms`)), timeout);
+    });
+
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+  }
+
+  _normalizeRetry(retry) {
+    if (!retry) return null;
+    if (typeof retry === 'number') retry = { count: retry };
+
+    return {
+      count: Math.max(0, retry.count || 0),
+      backoff: retry.backoff || 0,
+      factor: retry.factor || 2
+    };
+  }
+
+  /**
+   * Invoke a listener, retrying per its policy; exhausted deliveries are
+   * logged and moved to the dead-letter queue (or update `deadLetter` when
+   * redelivering one).
+   */
+  async _deliver(listener, event, label, deadLetter = null) {
+    const retries = listener.retry ? listener.retry.count : 0;
+    let attempts = 0;
+
+    while (true) {
+      attempts++;
+      try {
+        await this._withTimeout(
+          Promise.resolve().then(() => this._runInSpan(event, () => listener.callback(event.data, event))),
+          listener.timeout || this.listenerTimeout,
+          label
+        );
+        return true;
+      } catch (error) {
+        if (attempts <= retries) {
+          const delay = listener.retry.backoff * Math.pow(listener.retry.factor, attempts - 1);
+          if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+          }
+          continue;
+        }
+
+        console.error(`[EventBus] Error in ${label}:`, error);
+        if (deadLetter) {
+          // A failed redelivery stays one letter
+          deadLetter.attempts += attempts;
+          deadLetter.error = error && error.message ? error.message : String(error);
+          deadLetter.timestamp = Date.now();
+        } else {
+          this._addDeadLetter(listener, event, error, attempts);
+        }
+        return false;
+      }
+    }
+  }
+
+  _addDeadLetter(listener, event, error, attempts) {
+    const entry = {
+      id: `dl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      event: {
+        name: event.name,
+        data: event.data,
+        timestamp: event.timestamp,
+        options: event.options,
+        traceId: event.traceId,
+        spanId: event.spanId,
+        parentSpanId: event.parentSpanId
+      },
+      listener,
+      listenerId: listener.id,
+      listenerKey: listener.key,
+      error: error && error.message ? error.message : String(error),
+      attempts,
+      timestamp: Date.now()
+    };
+
+    this.deadLetters.push(entry);
+    if (this.deadLetters.length > this.deadLetterLimit) {
+      this.deadLetters.shift();
+    }
+
+    // A failing dead-letter observer must not feed the queue with itself
+    if (event.name !== 'eventbus:deadletter') {
+      this.emit('eventbus:deadletter', {
+        id: entry.id,
+        eventName: event.name,
+        listenerId: entry.listenerId,
+        error: entry.error,
+        attempts
+      });
+    }
+  }
+
+  _createId(prefix) {
+    return EventBus.createId(prefix);
+  }
+
+  /**
+   * Run fn with span as the active parent, so emits made synchronously
+   * inside it are linked to span
+   */
+  _runInSpan(span, fn) {
+    const previous = this._activeSpan;
+    this._activeSpan = span;
+    try {
+      return fn();
+    } finally {
+      this._activeSpan = previous;
+    }
+  }
+
+  _recordSpan(span) {
+    if (!this.traces.has(span.traceId)) {
+      this.traces.set(span.traceId, []);
+
+      // Drop the oldest trace beyond the limit
+      if (this.traces.size > this.traceLimit) {
+        this.traces.delete(this.traces.keys().next().value);
+      }
+    }
+
+    this.traces.get(span.traceId).push({
+      name: span.name,
+      timestamp: span.timestamp,
+      spanId: span.spanId,
+      parentSpanId: span.parentSpanId
+    });
+  }
+
   _addToHistory(event) {
     this.history.push({
       name: event.name,
       timestamp: event.timestamp,
-      dataType: typeof event.data
+      dataType: typeof event.data,
+      traceId: event.traceId,
+      spanId: event.spanId
     });
 
     // Keep history within limit
@@ -258,9 +911,152 @@ class EventBus {
   }
 }
 
+/**
+ * Child view of an EventBus returned by EventBus.scope()
+ */
+class ScopedEventBus {
+  constructor(parent, prefix, options = {}) {
+    this.parent = parent;
+    this.prefix = prefix;
+    this.owner = options.owner || prefix;
+    this.subscriptions = new Set();
+    this.children = new Set();
+    this.disposed = false;
+  }
+
+  /**
+   * Subscribe to an event on the parent bus (names are not prefixed)
+   * @param {string} eventName - Event name or pattern
+   * @param {Function} callback - Function to call when event fires
+   * @param {Object} options - Listener options (see EventBus.on)
+   * @returns {Function} Unsubscribe function
+   */
+  on(eventName, callback, options = {}) {
+    this._assertActive();
+    return this._track(this.parent.on(eventName, callback, options));
+  }
+
+  /**
+   * Subscribe once to an event on the parent bus (names are not prefixed)
+   * @param {string} eventName - Event name or pattern
+   * @param {Function} callback - Function to call when event fires
+   * @param {Object} options - Listener options (see EventBus.once)
+   * @returns {Function} Unsubscribe function
+   */
+  once(eventName, callback, options = {}) {
+    this._assertActive();
+    return this._track(this.parent.once(eventName, callback, options));
+  }
+
+  /**
+   * Emit an event under this scope's prefix
+   * @param {string} eventName - Event name, emitted as `prefix:eventName`
+   * @param {*} data - Data to pass to listeners
+   * @param {Object} options - Emit options (see EventBus.emit)
+   * @returns {Promise<void>}
+   */
+  emit(eventName, data, options = {}) {
+    this._assertActive();
+    return this.parent.emit(this._name(eventName), data, { source: this.owner, ...options });
+  }
+
+  /**
+   * Send a request on the parent bus (names are not prefixed)
+   * @param {string} requestName - Request name
+   * @param {*} data - Request payload
+   * @param {Object} options - Request options (see EventBus.request)
+   * @returns {Promise<*>} Handler reply
+   */
+  request(requestName, data, options = {}) {
+    this._assertActive();
+    return this.parent.request(requestName, data, options);
+  }
+
+  /**
+   * Register the responder for `prefix:requestName`
+   * @param {string} requestName - Request name
+   * @param {Function} handler - Request handler
+   * @returns {Function} Unregister function
+   */
+  handle(requestName, handler) {
+    this._assertActive();
+    return this._track(this.parent.handle(this._name(requestName), handler));
+  }
+
+  /**
+   * Create a nested scope, disposed together with this one
+   * @param {string} prefix - Namespace below this scope's prefix
+   * @param {Object} options - Scope options
+   * @returns {ScopedEventBus} Child bus
+   */
+  scope(prefix, options = {}) {
+    this._assertActive();
+    const child = new ScopedEventBus(this.parent, this._name(prefix), { owner: this.owner, ...options });
+    this.children.add(child);
+    return child;
+  }
+
+  /**
+   * Remove every subscription and handler registered through this scope
+   */
+  dispose() {
+    if (this.disposed) return;
+
+    const count = this.subscriptions.size;
+    for (const child of this.children) {
+      child.dispose();
+    }
+    for (const unsubscribe of this.subscriptions) {
+      unsubscribe();
+    }
+
+    this.children.clear();
+    this.subscriptions.clear();
+    this.disposed = true;
+    console.log(`[EventBus] Disposed scope "${this.prefix}" (${count} registrations)`);
+  }
+
+  /**
+   * Get scope statistics
+   * @returns {Object} Scope statistics
+   */
+  getStats() {
+    return {
+      prefix: this.prefix,
+      owner: this.owner,
+      registrations: this.subscriptions.size,
+      children: this.children.size,
+      disposed: this.disposed
+    };
+  }
+
+  // Private methods
+
+  _name(eventName) {
+    return `${this.prefix}:${eventName}`;
+  }
+
+  _track(unsubscribe) {
+    const tracked = () => {
+      this.subscriptions.delete(tracked);
+      unsubscribe();
+    };
+    this.subscriptions.add(tracked);
+    return tracked;
+  }
+
+  _assertActive() {
+    if (this.disposed) {
+      throw new Error(`Scope "${this.prefix}" has been disposed`);
+    }
+  }
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = EventBus;
+  module.exports.ScopedEventBus = ScopedEventBus;
 } else {
   window.EventBus = EventBus;
+  window.ScopedEventBus = ScopedEventBus;
 }
@@ -0,0 +1,305 @@
+/**
+ * Event Journal Module
+ * Records full EventBus payloads for debugging and incident replay
+ * in the Comet Platform.
+ */
+
+class EventJournal {
+  /**
+   * @param {Object} options - Journal options
+   * @param {string} options.storage - 'indexeddb', 'localstorage' or 'memory' (default 'localstorage')
+   * @param {string} options.storageKey - localStorage key / IndexedDB database name
+   * @param {number} options.maxEntries - Oldest entries are rotated out beyond this count
+   * @param {Function} options.redact - (entry) => entry, strip secrets before anything is stored
+   * @param {Array<string>} options.exclude - Event patterns never recorded
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || 'localstorage';
+    this.storageKey = options.storageKey || 'comet_event_journal';
+    this.maxEntries = options.maxEntries || 1000;
+    this.redact = options.redact || null;
+    this.exclude = options.exclude || [];
+    this.entries = [];
+    this.eventBus = null;
+    this.db = null;
+    this.sequence = 0;
+    this._unsubscribe = null;
+    this._saveTimer = null;
+  }
+
+  /**
+   * Load persisted entries and start recording an event bus
+   * @param {Object} eventBus - EventBus instance to record
+   * @returns {Promise<EventJournal>} The journal instance
+   */
+  async attach(eventBus) {
+    this.detach();
+    this.eventBus = eventBus;
+
+    await this._load();
+
+    this._unsubscribe = eventBus.on('*', (data, event) => this.record(event));
+    console.log(`[EventJournal] Attached (${this.storage}, ${this.entries.length} entries)`);
+    return this;
+  }
+
+  /**
+   * Stop recording
+   */
+  detach() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+      console.log('[EventJournal] Detached');
+    }
+  }
+
+  /**
+   * Record an emitted event
+   * @param {Object} event - Event object as delivered by EventBus ({ name, data, timestamp, options })
+   * @returns {Object|null} Stored entry, or null if skipped
+   */
+  record(event) {
+    const options = event.options || {};
+
+    // Replayed events are already in the journal
+    if (options.replay) return null;
+
+    const matchPattern = this._matchPattern();
+    if (this.exclude.some(pattern => matchPattern(pattern, event.name))) return null;
+
+    let entry = {
+      id: `evt_${event.timestamp}_${++this.sequence}`,
+      name: event.name,
+      data: this._clone(event.data),
+      timestamp: event.timestamp,
+      source: options.source || (options.bridge && options.bridge.source) || null,
+      traceId: event.traceId || null,
+      spanId: event.spanId || null,
+      parentSpanId: event.parentSpanId || null
+    };
+
+    if (this.redact) {
+      try {
+        entry = this.redact(entry);
+      } catch (error) {
+        console.error(`[EventJournal] Redaction failed for "${event.name}", entry dropped:`, error);
+        return null;
+      }
+      if (!entry) return null;
+    }
+
+    this.entries.push(entry);
+    const rotated = this.entries.length > this.maxEntries
+      ? this.entries.splice(0, this.entries.length - this.maxEntries)
+      : [];
+
+    this._persist(entry, rotated);
+    return entry;
+  }
+
+  /**
+   * Query recorded events
+   * @param {Object} criteria - Query criteria
+   * @param {string} criteria.name - Exact name or pattern ("memory:*", "plugin:**")
+   * @param {number} criteria.from - Start timestamp (inclusive)
+   * @param {number} criteria.to - End timestamp (inclusive)
+   * @param {string} criteria.source - Source identifier
+   * @param {string} criteria.traceId - Trace ID
+   * @param {number} criteria.limit - Max entries, most recent kept
+   * @returns {Array} Matching entries in chronological order
+   */
+  query(criteria = {}) {
+    const matchPattern = this._matchPattern();
+
+    let results = this.entries.filter(entry => {
+      if (criteria.name && !matchPattern(criteria.name, entry.name)) return false;
+      if (criteria.from != null && entry.timestamp < criteria.from) return false;
+      if (criteria.to != null && entry.timestamp > criteria.to) return false;
+      if (criteria.source && entry.source !== criteria.source) return false;
+      if (criteria.traceId && entry.traceId !== criteria.traceId) return false;
+      return true;
+    });
+
+    if (criteria.limit) {
+      results = results.slice(-criteria.limit);
+    }
+
+    return results;
+  }
+
+  /**
+   * Re-emit recorded events into a bus to reproduce an incident
+   * @param {Object} range - Query criteria selecting the events (see query)
+   * @param {Object} options - Replay options
+   * @param {number} options.speed - Time multiplier (1 = real time, 0 = no delays)
+   * @param {Object} options.eventBus - Target bus (defaults to the attached bus)
+   * @returns {Promise<number>} Number of events replayed
+   */
+  async replay(range = {}, options = {}) {
+    const bus = options.eventBus || this.eventBus;
+    if (!bus) {
+      throw new Error('No event bus to replay into');
+    }
+
+    const speed = options.speed ?? 0;
+    const entries = this.query(range);
+    let previous = null;
+
+    console.log(`[EventJournal] Replaying ${entries.length} events`);
+
+    for (const entry of entries) {
+      if (speed > 0 && previous) {
+        const delay = (entry.timestamp - previous.timestamp) / speed;
+        if (delay > 0) {
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+
+      await bus.emit(entry.name, this._clone(entry.data), {
+        replay: true,
+        journalId: entry.id,
+        originalTimestamp: entry.timestamp,
+        source: entry.source
+      });
+      previous = entry;
+    }
+
+    return entries.length;
+  }
+
+  /**
+   * Remove all recorded events
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries = [];
+
+    if (this.storage === 'indexeddb') {
+      const db = await this._openDatabase();
+      if (db) {
+        await this._idbRequest(db, 'readwrite', store => store.clear());
+      }
+    } else if (this.storage === 'localstorage') {
+      try {
+        localStorage.removeItem(this.storageKey);
+      } catch (error) {
+        console.error('[EventJournal] Failed to clear storage:', error);
+      }
+    }
+
+    console.log('[EventJournal] Cleared');
+  }
+
+  /**
+   * Get journal statistics
+   * @returns {Object} Journal statistics
+   */
+  getStats() {
+    return {
+      storage: this.storage,
+      totalEntries: this.entries.length,
+      maxEntries: this.maxEntries,
+      oldest: this.entries[0]?.timestamp || null,
+      newest: this.entries[this.entries.length - 1]?.timestamp || null
+    };
+  }
+
+  // Private methods
+
+  _matchPattern() {
+    const Bus = this.eventBus && this.eventBus.constructor;
+    if (Bus && typeof Bus.matchPattern === 'function') {
+      return Bus.matchPattern;
+    }
+    return (pattern, name) => pattern === '*' || pattern === name;
+  }
+
+  _clone(value) {
+    if (value === undefined) return undefined;
+    try {
+      return JSON.parse(JSON.stringify(value));
+    } catch (error) {
+      return String(value);
+    }
+  }
+
+  async _load() {
+    try {
+      if (this.storage === 'indexeddb') {
+        const db = await this._openDatabase();
+        if (db) {
+          const stored = await this._idbRequest(db, 'readonly', store => store.getAll());
+          this.entries = (stored || []).sort((a, b) => a.timestamp - b.timestamp);
+        }
+      } else if (this.storage === 'localstorage') {
+        const stored = localStorage.getItem(this.storageKey);
+        this.entries = stored ? JSON.parse(stored) : [];
+      }
+    } catch (error) {
+      console.error('[EventJournal] Failed to load from storage:', error);
+      this.entries = [];
+    }
+  }
+
+  _persist(entry, rotated) {
+    if (this.storage === 'indexeddb') {
+      this._openDatabase()
+        .then(db => db && this._idbRequest(db, 'readwrite', store => {
+          for (const old of rotated) {
+            store.delete(old.id);
+          }
+          return store.put(entry);
+        }))
+        .catch(error => console.error('[EventJournal] Failed to persist entry:', error));
+    } else if (this.storage === 'localstorage' && !this._saveTimer) {
+      // Batch bursts of events into one write
+      this._saveTimer = setTimeout(() => {
+        this._saveTimer = null;
+        try {
+          localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+          console.error('[EventJournal] Failed to save to storage:', error);
+        }
+      }, 250);
+    }
+  }
+
+  _openDatabase() {
+    if (this.db) return Promise.resolve(this.db);
+    if (typeof indexedDB === 'undefined') {
+      console.warn('[EventJournal] IndexedDB unavailable, keeping entries in memory');
+      this.storage = 'memory';
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.storageKey, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore('events', { keyPath: 'id' });
+        store.createIndex('timestamp', 'timestamp');
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  _idbRequest(db, mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('events', mode);
+      const request = operation(transaction.objectStore('events'));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EventJournal;
+} else {
+  window.EventJournal = EventJournal;
+}
@@ -0,0 +1,118 @@
+/**
+ * Schema Validator Module
+ * JSON-Schema subset shared by EventBus event contracts and PluginManager
+ * plugin configuration in the Comet Platform: type, enum, const,
+ * minimum/maximum, minLength/maxLength, pattern, minItems/maxItems, items,
+ * required, properties and additionalProperties.
+ */
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON-Schema subset
+ * @param {*} value - Value to check
+ * @param {string} path - Name used for the value in error messages
+ * @returns {Object} { valid, errors }
+ */
+function validateSchema(schema, value, path = 'value') {
+  const errors = schemaErrors(schema, value, path);
+  return { valid: errors.length === 0, errors };
+}
+
+function schemaErrors(schema, value, path) {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') return errors;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesSchemaType(type, value))) {
+      errors.push(`${path} should be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push(`${path} should be one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if ('const' in schema && schema.const !== value) {
+    errors.push(`${path} should equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push(`${path} should be >= ${schema.minimum}`);
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push(`${path} should have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push(`${path} should have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} should match /${schema.pattern}/`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...schemaErrors(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (matchesSchemaType('object', value)) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      if (key in value) {
+        errors.push(...schemaErrors(propertySchema, value[key], `${path}.${key}`));
+      }
+    }
+
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!(key in properties)) {
+          errors.push(`${path}.${key} is not allowed`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+function matchesSchemaType(type, value) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && !Number.isNaN(value);
+    default: return typeof value === type;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { validateSchema };
+} else {
+  window.validateSchema = validateSchema;
+}
@@ -34,9 +34,14 @@
     const mem = new Map();
     function key(p) { return `fm:${p}`; }
     function ensureRoot() {
-      if (!mem.has(ROOT_DIR)) mem.set(ROOT_DIR, { type: 'dir', children: new Set() });
+      // The root's children are stored like any other dir's
+      if (!mem.has(ROOT_DIR)) mem.set(ROOT_DIR, JSON.parse(localStorage.getItem(key(ROOT_DIR)) || 'null') || { type: 'dir', children: new Set() });
     }
     ensureRoot();
+    function parentOf(p) {
+      const i = p.lastIndexOf('/');
+      return i === -1 ? null : p.slice(0, i);
+    }
 
     return {
       list(dirPath) {
@@ -44,7 +49,7 @@
         const k = key(dirPath);
         const node = mem.get(dirPath) || JSON.parse(localStorage.getItem(k) || 'null');
         if (!node || node.type !== 'dir') throw new Error('Not a directory');
-        return Array.from(node.children || []);
+        return Array.from(node.children || []).sort();
       },
       exists(p) {
         return mem.has(p) || !!localStorage.getItem(key(p));
@@ -55,10 +60,31 @@
       writeNode(p, node) {
         mem.set(p, node);
         localStorage.setItem(key(p), JSON.stringify(node));
+        this.linkChild(p, true);
       },
       deleteNode(p) {
         mem.delete(p);
         localStorage.removeItem(key(p));
+        this.linkChild(p, false);
+      },
+      // Keep the parent's children list in step, creating missing parent
+      // dirs so files written straight to a path still show up in list()
+      linkChild(p, add) {
+        const parent = parentOf(p);
+        if (!parent || !isPathSafe(parent)) return;
+        const node = this.readNode(parent);
+        if (!node) {
+          if (add) this.writeNode(parent, { type: 'dir', children: [p.slice(parent.length + 1)] });
+          return;
+        }
+        if (node.type !== 'dir') return;
+        const children = new Set(node.children || []);
+        const name = p.slice(parent.length + 1);
+        if (children.has(name) === add) return;
+        if (add) children.add(name); else children.delete(name);
+        const updated = { ...node, children: Array.from(children) };
+        mem.set(parent, updated);
+        localStorage.setItem(key(parent), JSON.stringify(updated));
       },
       mkdir(p) {
         if (this.exists(p)) throw new Error('Already exists');
@@ -148,6 +174,27 @@
         throw e;
       }
     },
+    readFile(path) {
+      if (!isPathSafe(path)) throw new Error('Unsafe path');
+      try {
+        const content = fs.readFile(path);
+        logActivity(`Read: ${path}`, { path, size: content.length });
+        return content;
+      } catch (e) {
+        logActivity(`Read failed: ${path}`, { error: e.message }, 'error');
+        throw e;
+      }
+    },
+    writeFile(path, content) {
+      if (!isPathSafe(path)) throw new Error('Unsafe path');
+      try {
+        fs.writeFile(path, content);
+        logActivity(`Write: ${path}`, { path });
+      } catch (e) {
+        logActivity(`Write failed: ${path}`, { error: e.message }, 'error');
+        throw e;
+      }
+    },
     // Hooks usage
     openInEditor(path) {
       if (!isPathSafe(path)) throw new Error('Unsafe path');
@@ -265,6 +312,8 @@
     (async () => {
       const requestId = d.requestId || null;
       const replyTo = d._replyTo || null; // original requester module name
+      // Reply continues the requester's trace as a child of its request span
+      const trace = EventBus.childSpan(d);
 
       try {
         let result = null;
@@ -290,11 +339,11 @@
         }
 
         // Reply via hub (post back to event.source which is hub)
-        event.source.postMessage({ type: 'response', requestId, result, _replyTo: replyTo }, '*');
-        logActivity(`Handled request: ${d.action}`, { action: d.action, params: d.params });
+        event.source.postMessage({ type: 'response', requestId, result, _replyTo: replyTo, ...trace }, '*');
+        logActivity(`Handled request: ${d.action}`, { action: d.action, params: d.params, traceId: trace.traceId });
       } catch (err) {
-        event.source.postMessage({ type: 'response', requestId, error: err.message, _replyTo: replyTo }, '*');
-        logActivity(`Request failed: ${d.action}`, { action: d.action, error: err.message }, 'error');
+        event.source.postMessage({ type: 'response', requestId, error: err.message, _replyTo: replyTo, ...trace }, '*');
+        logActivity(`Request failed: ${d.action}`, { action: d.action, error: err.message, traceId: trace.traceId }, 'error');
       }
     })();
   });
@@ -4,11 +4,76 @@
  * for the Comet Platform.
  */
 
+const resolveConfigValidator = () => {
+  if (typeof validateSchema !== 'undefined') return validateSchema;
+  if (typeof module !== 'undefined' && module.exports) return require('../event-bus/schema-validator.js').validateSchema;
+  return null;
+};
+
+// Method -> permission maps for the platform services plugins can be given
+const DEFAULT_SERVICE_PERMISSIONS = {
+  fs: {
+    list: 'fs:read',
+    readFile: 'fs:read',
+    create: 'fs:write',
+    rename: 'fs:write',
+    remove: 'fs:write',
+    writeFile: 'fs:write'
+  },
+  memory: {
+    recall: 'memory:read',
+    search: 'memory:read',
+    getContext: 'memory:read',
+    getSessionMemories: 'memory:read',
+    store: 'memory:write',
+    forget: 'memory:write',
+    updateContext: 'memory:write'
+  },
+  'api-tester': {
+    sendRequest: 'net:api-tester',
+    getRequestHistory: 'net:api-tester',
+    isUrlAllowed: 'net:api-tester',
+    getAllowedDomains: 'net:api-tester'
+  }
+};
+
+// File manager directory scanned for sandboxed plugin sources
+const PLUGINS_DIR = 'comet-platform/plugins';
+
+const HOOK_STRATEGIES = ['series', 'waterfall', 'bail', 'parallel'];
+
+// Platform version registry entries are checked against (`platform` range)
+const PLATFORM_VERSION = '1.0.0';
+
+// Default registry index stored through the file manager
+const REGISTRY_PATH = `${PLUGINS_DIR}/registry.json`;
+
 class PluginManager {
-  constructor() {
+  /**
+   * @param {Object} options - Manager options
+   * @param {number} options.hookTimeout - Default ms before a hook handler fails (default 0 = no limit)
+   * @param {Object} options.quarantine - Auto-disable thresholds: consecutiveErrors (default 5),
+   *   errorRate (0-1, default 0.5) over the last `window` calls (default 20), false to turn off
+   */
+  constructor(options = {}) {
+    this.hookTimeout = options.hookTimeout || 0;
+    this.quarantine = options.quarantine === false ? null : {
+      consecutiveErrors: 5,
+      errorRate: 0.5,
+      window: 20,
+      ...options.quarantine
+    };
+    this.latencySamples = 100;
     this.plugins = new Map();
     this.hooks = new Map();
+    this.hookDefinitions = new Map();
+    this.services = new Map();
+    this.configs = {};
+    this.configStorageKey = 'comet_plugin_config';
+    this.platformVersion = PLATFORM_VERSION;
+    this.registry = null;
     this.eventBus = null; // Will be injected
+    this._loadConfigs();
   }
 
   /**
@@ -17,39 +82,342 @@ class PluginManager {
    */
   init(eventBus) {
     this.eventBus = eventBus;
+    this._defineEvents();
     console.log('[PluginManager] Initialized');
   }
 
+  /**
+   * Expose a platform service to plugins through a permission-checked facade
+   * @param {string} name - Service name as seen by plugins (e.g. 'fs', 'memory', 'api-tester')
+   * @param {Object} implementation - Service object (CometFileManager, AgentMemory, APITester...)
+   * @param {Object} methodPermissions - Method -> required permission; unlisted methods are not exposed
+   */
+  registerService(name, implementation, methodPermissions = DEFAULT_SERVICE_PERMISSIONS[name] || {}) {
+    this.services.set(name, { implementation, methodPermissions });
+    console.log(`[PluginManager] Registered service: ${name}`);
+  }
+
+  /**
+   * Declare how a hook runs its handlers
+   *
+   * - series: every handler gets the same data; results are collected (default)
+   * - waterfall: each handler receives the previous one's return value
+   *   (undefined keeps the value unchanged); the final value is returned
+   * - bail: stops at the first handler returning something other than
+   *   undefined, so hooks like `beforeFileWrite` can veto an action
+   * - parallel: handlers run concurrently; results are collected
+   *
+   * @param {string} hookName - Hook name
+   * @param {Object} options - Hook options (strategy, timeout per handler in ms, description)
+   * @returns {boolean} Success status
+   */
+  defineHook(hookName, options = {}) {
+    const strategy = options.strategy || 'series';
+    if (!HOOK_STRATEGIES.includes(strategy)) {
+      console.error(`[PluginManager] Unknown hook strategy "${strategy}" for "${hookName}"`);
+      return false;
+    }
+
+    this.hookDefinitions.set(hookName, {
+      strategy,
+      timeout: options.timeout || 0,
+      description: options.description || ''
+    });
+    return true;
+  }
+
   /**
    * Register a new plugin
-   * @param {string} pluginId - Unique identifier for the plugin
+   *
+   * `dependencies` and `optionalDependencies` may be given as an object
+   * ({ "other-plugin": "^1.2.0" }) or as an array of "id@range" strings.
+   *
+   * `permissions` lists what the plugin may do outside its own event
+   * namespace: "events:emit:<pattern>", "events:subscribe:<pattern>",
+   * "events:request:<pattern>" and service permissions such as "fs:read",
+   * "fs:write", "memory:write" or "net:api-tester". `init(bus, context)` and
+   * hook handlers `(data, context)` only receive guarded facades, and
+   * `event.emit` in their listeners is checked like `emitGlobal`.
+   *
+   * Optional `serialize()` and `hydrate(state, context)` carry plugin state
+   * across `reloadPlugin`.
+   *
+   * `configSchema` (JSON-Schema subset, `default` per property) describes
+   * user settings; `onConfigChange(config, previous, context)` is called
+   * on the running plugin when they change.
+   *
+   * Each entry of `hooks` is a handler function or
+   * { handler, priority, timeout, filter }: higher priority runs first,
+   * `timeout` (ms) fails a slow handler and `filter(data)` skips it.
+   *
+   * @param {string} pluginId - Unique identifier for the plugin (no ":", which separates
+   *   event name segments)
    * @param {Object} pluginDefinition - Plugin configuration and hooks
    * @returns {boolean} Success status
    */
   registerPlugin(pluginId, pluginDefinition) {
+    // "a:b" would own events under plugin:a:b:*, which are plugin a's too
+    if (!pluginId || typeof pluginId !== 'string' || pluginId.includes(':')) {
+      console.error(`[PluginManager] Invalid plugin id "${pluginId}": must be a non-empty string without ":"`);
+      return false;
+    }
     if (this.plugins.has(pluginId)) {
       console.warn(`[PluginManager] Plugin "${pluginId}" already registered`);
       return false;
     }
 
-    const plugin = {
-      id: pluginId,
-      name: pluginDefinition.name || pluginId,
-      version: pluginDefinition.version || '1.0.0',
-      enabled: false,
-      hooks: pluginDefinition.hooks || {},
-      init: pluginDefinition.init || (() => {}),
-      destroy: pluginDefinition.destroy || (() => {}),
-      metadata: pluginDefinition.metadata || {}
-    };
-
-    this.plugins.set(pluginId, plugin);
+    this.plugins.set(pluginId, this._createPluginRecord(pluginId, pluginDefinition));
     console.log(`[PluginManager] Registered plugin: ${pluginId}`);
     return true;
   }
 
   /**
-   * Enable and initialize a plugin
+   * Load a third-party plugin from source and register it, running its code
+   * in a dedicated Web Worker (default) or sandboxed iframe
+   *
+   * The source is CommonJS style and assigns the plugin definition to
+   * `module.exports`. Hooks, init and destroy are proxied over messages;
+   * a sandbox that crashes or doesn't start within `options.timeout` is
+   * terminated and the plugin is disabled. Slow calls are only rejected:
+   * hooks by their own timeout, init/destroy and methods by `options.timeout`.
+   *
+   * @param {string|Object} spec - URL, file manager path under comet-platform/,
+   *   or { source | url | path }; inline code must be given as { source }
+   * @param {Object} options - Load options (id, sandbox: 'worker'|'iframe', timeout, fileManager)
+   * @returns {Promise<string|null>} Registered plugin ID, or null on failure
+   */
+  async loadPlugin(spec, options = {}) {
+    let sandbox = null;
+    try {
+      sandbox = await this._startSandbox(spec, options);
+      const manifest = sandbox.manifest;
+      const pluginId = options.id || manifest.id || manifest.name;
+      if (!pluginId) {
+        throw new Error('Plugin manifest has no id or name');
+      }
+
+      if (!this.registerPlugin(pluginId, this._createSandboxedDefinition(sandbox, manifest))) {
+        sandbox.terminate();
+        return null;
+      }
+
+      this.plugins.get(pluginId).sandbox = sandbox;
+      console.log(`[PluginManager] Loaded sandboxed plugin: ${pluginId}`);
+      return pluginId;
+    } catch (error) {
+      if (sandbox) sandbox.terminate();
+      console.error('[PluginManager] Failed to load plugin:', error);
+      return null;
+    }
+  }
+
+  /**
+   * List plugin sources stored through the file manager
+   * @param {Object} options - Options (fileManager)
+   * @returns {Array<string>} Paths of .js files under comet-platform/plugins/
+   */
+  discoverPlugins(options = {}) {
+    const fileManager = this._getFileManager(options);
+    if (!fileManager) return [];
+
+    try {
+      return fileManager.list(PLUGINS_DIR)
+        .map(entry => entry.startsWith(PLUGINS_DIR) ? entry : `${PLUGINS_DIR}/${entry}`)
+        .filter(path => path.endsWith('.js'));
+    } catch (error) {
+      // No plugins directory yet
+      return [];
+    }
+  }
+
+  /**
+   * Load a plugin registry index
+   *
+   * The index is JSON of the form
+   * { "plugins": [{ "id", "name", "version", "description", "keywords",
+   *   "source", "platform" }] } with one entry per published version.
+   * `source` is resolved relative to the index location; `platform` is a
+   * semver range the platform version must satisfy.
+   *
+   * @param {string|Object} spec - File manager path, URL, parsed index, or
+   *   { path | url } (defaults to comet-platform/plugins/registry.json)
+   * @param {Object} options - Options (fileManager)
+   * @returns {Promise<boolean>} Success status
+   */
+  async loadRegistry(spec = REGISTRY_PATH, options = {}) {
+    try {
+      const isIndex = spec && typeof spec === 'object' && Array.isArray(spec.plugins);
+      const descriptor = isIndex ? {} : this._describeSource(spec);
+      const index = isIndex ? spec : JSON.parse(await this._resolvePluginSource(descriptor, options));
+
+      if (!index || !Array.isArray(index.plugins)) {
+        throw new Error('Registry index has no "plugins" list');
+      }
+
+      const entries = new Map();
+      for (const entry of index.plugins) {
+        if (!entry || !entry.id || !this._parseVersion(entry.version) || typeof entry.source !== 'string') {
+          console.warn('[PluginManager] Skipping invalid registry entry:', entry);
+          continue;
+        }
+
+        let source;
+        try {
+          source = this._resolveRegistrySource(entry.source, descriptor);
+        } catch (error) {
+          console.warn(`[PluginManager] Skipping registry entry "${entry.id}@${entry.version}": ${error.message}`);
+          continue;
+        }
+        if (!entries.has(entry.id)) entries.set(entry.id, []);
+        entries.get(entry.id).push({ ...entry, source });
+      }
+
+      // Newest version first
+      for (const versions of entries.values()) {
+        versions.sort((a, b) => this._compareVersions(b.version, a.version));
+      }
+
+      this.registry = { location: descriptor.path || descriptor.url || null, loadedAt: Date.now(), entries };
+      console.log(`[PluginManager] Loaded registry with ${entries.size} plugins`);
+      return true;
+    } catch (error) {
+      console.error('[PluginManager] Failed to load registry:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Search the loaded registry
+   * @param {string} query - Text matched against id, name, description and keywords
+   * @returns {Array} { id, name, description, keywords, version, versions,
+   *   compatible, installed, updateAvailable } using the newest compatible version
+   */
+  searchRegistry(query = '') {
+    if (!this.registry) {
+      console.warn('[PluginManager] No registry loaded');
+      return [];
+    }
+
+    const terms = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+    const results = [];
+
+    for (const [id, versions] of this.registry.entries) {
+      const latest = versions.find(entry => this._isPlatformCompatible(entry)) || versions[0];
+      const text = [id, ...versions.flatMap(entry => [entry.name, entry.description, ...(entry.keywords || [])])]
+        .filter(Boolean).join(' ').toLowerCase();
+      if (!terms.every(term => text.includes(term))) continue;
+
+      const installed = this.plugins.get(id);
+      results.push({
+        id,
+        name: latest.name || id,
+        description: latest.description || '',
+        keywords: [...(latest.keywords || [])],
+        version: latest.version,
+        versions: versions.map(entry => entry.version),
+        compatible: this._isPlatformCompatible(latest),
+        installed: installed ? installed.version : null,
+        updateAvailable: !!installed && this._isPlatformCompatible(latest) &&
+          this._compareVersions(latest.version, installed.version) > 0
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Install a plugin from the loaded registry into a sandbox (see loadPlugin)
+   * @param {string} pluginId - Registry plugin ID
+   * @param {Object} options - Install options (range, plus loadPlugin options)
+   * @returns {Promise<string|null>} Installed plugin ID, or null on failure
+   */
+  async installPlugin(pluginId, options = {}) {
+    if (this.plugins.has(pluginId)) {
+      console.error(`[PluginManager] Plugin "${pluginId}" is already installed (use updatePlugin)`);
+      return null;
+    }
+
+    let entry;
+    try {
+      entry = this._selectRegistryVersion(pluginId, options.range || '*');
+    } catch (error) {
+      console.error(`[PluginManager] Cannot install plugin "${pluginId}": ${error.message}`);
+      return null;
+    }
+
+    const { range, ...loadOptions } = options;
+    const id = await this.loadPlugin(entry.source, { ...loadOptions, id: pluginId });
+    if (!id) return null;
+
+    this._warnVersionMismatch(id, entry);
+    if (this.eventBus) {
+      this.eventBus.emit('plugin:installed', { pluginId: id, version: this.plugins.get(id).version });
+    }
+    console.log(`[PluginManager] Installed plugin: ${id}@${entry.version}`);
+    return id;
+  }
+
+  /**
+   * List installed plugins with a newer compatible version in the registry
+   * @returns {Array} { id, installed, latest }
+   */
+  checkUpdates() {
+    if (!this.registry) return [];
+
+    const updates = [];
+    for (const plugin of this.plugins.values()) {
+      const versions = this.registry.entries.get(plugin.id);
+      const latest = versions && versions.find(entry => this._isPlatformCompatible(entry));
+      if (latest && this._compareVersions(latest.version, plugin.version) > 0) {
+        updates.push({ id: plugin.id, installed: plugin.version, latest: latest.version });
+      }
+    }
+    return updates;
+  }
+
+  /**
+   * Update an installed plugin to the newest compatible registry version,
+   * hot-reloading it so its state is kept (see reloadPlugin)
+   * @param {string} pluginId - Plugin identifier
+   * @param {Object} options - Update options (range, plus reloadPlugin options)
+   * @returns {Promise<boolean>} Success status (true when already up to date)
+   */
+  async updatePlugin(pluginId, options = {}) {
+    const plugin = this.plugins.get(pluginId);
+    if (!plugin) {
+      console.error(`[PluginManager] Plugin "${pluginId}" not found`);
+      return false;
+    }
+
+    let entry;
+    try {
+      entry = this._selectRegistryVersion(pluginId, options.range || '*');
+    } catch (error) {
+      console.error(`[PluginManager] Cannot update plugin "${pluginId}": ${error.message}`);
+      return false;
+    }
+
+    if (this._compareVersions(entry.version, plugin.version) <= 0) {
+      console.log(`[PluginManager] Plugin "${pluginId}" is up to date (${plugin.version})`);
+      return true;
+    }
+
+    const { range, ...reloadOptions } = options;
+    if (!(await this.reloadPlugin(pluginId, entry.source, reloadOptions))) {
+      return false;
+    }
+
+    this._warnVersionMismatch(pluginId, entry);
+    return true;
+  }
+
+  /**
+   * Enable and initialize a plugin, enabling its dependencies first
+   *
+   * Optional dependencies that fail to start are skipped with a warning. If
+   * the plugin itself can't be enabled, dependencies started for it are
+   * disabled again.
+   *
    * @param {string} pluginId - Plugin identifier
    * @returns {Promise<boolean>} Success status
    */
@@ -65,31 +433,138 @@ class PluginManager {
       return true;
     }
 
+    // Enabling by hand is the way out of quarantine
+    if (plugin.health.quarantined) {
+      console.log(`[PluginManager] Releasing plugin "${pluginId}" from quarantine`);
+      plugin.health.quarantined = null;
+      plugin.health.consecutiveErrors = 0;
+      plugin.health.recent = [];
+    }
+
+    let order;
     try {
-      await plugin.init(this.eventBus);
-      plugin.enabled = true;
-      
-      // Register plugin hooks
-      this._registerPluginHooks(pluginId, plugin.hooks);
-      
-      if (this.eventBus) {
-        this.eventBus.emit('plugin:enabled', { pluginId });
+      order = this._resolveEnableOrder(pluginId);
+    } catch (error) {
+      console.error(`[PluginManager] Cannot enable plugin "${pluginId}": ${error.message}`);
+      return false;
+    }
+
+    // An optional dependency that fails to start is only a warning; a
+    // required one fails everything that needs it
+    const failed = new Set();
+    const activated = [];
+    for (const id of order) {
+      const plugin = this.plugins.get(id);
+      if (plugin.enabled) continue;
+
+      const missing = plugin.dependencies.find(dep => !dep.optional && failed.has(dep.id));
+      if (missing) {
+        console.error(`[PluginManager] Cannot enable plugin "${id}": dependency "${missing.id}" failed to enable`);
+        failed.add(id);
+      } else if (await this._activatePlugin(id)) {
+        activated.push(id);
+      } else {
+        failed.add(id);
+        if (id !== pluginId) {
+          console.warn(`[PluginManager] Dependency "${id}" of "${pluginId}" failed to enable`);
+        }
       }
-      
-      console.log(`[PluginManager] Enabled plugin: ${pluginId}`);
-      return true;
+    }
+
+    if (failed.has(pluginId)) {
+      // Don't leave dependencies running that were only started for this plugin
+      for (const id of activated.reverse()) {
+        await this._deactivatePlugin(id);
+      }
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Replace a plugin's code without losing its state
+   *
+   * An enabled plugin's `serialize()` result is passed to the new
+   * definition's `hydrate(state, context)` once the old instance is
+   * destroyed and the new one initialized. Hooks are swapped in a single
+   * step: a concurrent executeHook runs either the old handlers or the new
+   * ones, never a mix. Once a reload starts the old instance takes no new
+   * hook calls; they wait for the swap and run on whichever instance is
+   * live afterwards. If the new code fails to start, the previous
+   * definition is restored with the same state.
+   *
+   * @param {string} pluginId - Plugin identifier
+   * @param {Object|string} newDefinition - Plugin definition, or a source spec for sandboxed plugins (see loadPlugin)
+   * @param {Object} options - Sandbox options when reloading from source (sandbox, timeout, fileManager),
+   *   and drainTimeout: ms to wait for running hook calls before serializing (default 5000)
+   * @returns {Promise<boolean>} Success status
+   */
+  async reloadPlugin(pluginId, newDefinition, options = {}) {
+    const current = this.plugins.get(pluginId);
+    if (!current) {
+      console.error(`[PluginManager] Plugin "${pluginId}" not found`);
+      return false;
+    }
+
+    let next;
+    try {
+      let definition = newDefinition;
+      let sandbox = null;
+      if (this._isSourceSpec(newDefinition)) {
+        sandbox = await this._startSandbox(newDefinition, {
+          sandbox: current.sandbox ? current.sandbox.mode : undefined,
+          ...options
+        });
+        definition = this._createSandboxedDefinition(sandbox, sandbox.manifest);
+      }
+
+      next = this._createPluginRecord(pluginId, definition);
+      next.sandbox = sandbox;
+      next.denials = current.denials;
+      next.health = current.health;
+      // Keep revocations and extra grants made on the running plugin
+      const revoked = current.permissions.filter(p => !current.grants.has(p));
+      const extra = Array.from(current.grants).filter(p => !current.permissions.includes(p));
+      next.grants = new Set([...next.permissions.filter(p => !revoked.includes(p)), ...extra]);
+
+      this._checkReloadCompatibility(current, next);
     } catch (error) {
-      console.error(`[PluginManager] Failed to enable plugin "${pluginId}":`, error);
+      if (next && next.sandbox) next.sandbox.terminate();
+      console.error(`[PluginManager] Cannot reload plugin "${pluginId}": ${error.message}`);
       return false;
     }
+
+    if (!current.enabled) {
+      this.plugins.set(pluginId, next);
+      this._releaseSandbox(current, next);
+      this._emitReloaded(next, current);
+      return true;
+    }
+
+    // From here on hook calls for the plugin wait for the swap instead of
+    // reaching the old instance (see _awaitReload)
+    let openGate;
+    current.reloading = new Promise(resolve => { openGate = resolve; });
+    try {
+      return await this._replaceInstance(current, next, options);
+    } finally {
+      current.reloading = null;
+      openGate();
+    }
   }
 
   /**
    * Disable and clean up a plugin
+   *
+   * Enabled plugins that require this one are disabled first when
+   * `options.cascade` is set; otherwise the call is refused.
+   *
    * @param {string} pluginId - Plugin identifier
+   * @param {Object} options - Disable options (cascade)
    * @returns {Promise<boolean>} Success status
    */
-  async disablePlugin(pluginId) {
+  async disablePlugin(pluginId, options = {}) {
     const plugin = this.plugins.get(pluginId);
     if (!plugin) {
       console.error(`[PluginManager] Plugin "${pluginId}" not found`);
@@ -101,48 +576,101 @@ class PluginManager {
       return true;
     }
 
-    try {
-      await plugin.destroy();
-      plugin.enabled = false;
-      
-      // Unregister plugin hooks
-      this._unregisterPluginHooks(pluginId);
-      
-      if (this.eventBus) {
-        this.eventBus.emit('plugin:disabled', { pluginId });
-      }
-      
-      console.log(`[PluginManager] Disabled plugin: ${pluginId}`);
-      return true;
-    } catch (error) {
-      console.error(`[PluginManager] Failed to disable plugin "${pluginId}":`, error);
+    const dependents = this._getEnabledDependents(pluginId);
+    if (dependents.length > 0 && !options.cascade) {
+      console.error(`[PluginManager] Cannot disable plugin "${pluginId}": required by ${dependents.join(', ')} (use { cascade: true })`);
       return false;
     }
+
+    for (const id of dependents) {
+      if (!(await this._deactivatePlugin(id))) {
+        return false;
+      }
+    }
+
+    return this._deactivatePlugin(pluginId);
   }
 
   /**
    * Execute a specific hook across all enabled plugins
+   *
+   * The strategy comes from `options.strategy`, then `defineHook`, then
+   * defaults to series. Failing or timed-out handlers are logged and skipped.
+   *
    * @param {string} hookName - Name of the hook to execute
    * @param {*} data - Data to pass to the hook
-   * @returns {Promise<Array>} Array of hook results
+   * @param {Object} options - Execution options (strategy, timeout)
+   * @returns {Promise<Array|*>} series/parallel: array of { pluginId, result };
+   *   waterfall: the final value; bail: the first { pluginId, result } or null
    */
-  async executeHook(hookName, data) {
-    const hookHandlers = this.hooks.get(hookName) || [];
-    const results = [];
+  async executeHook(hookName, data, options = {}) {
+    const definition = this.hookDefinitions.get(hookName) || {};
+    const strategy = options.strategy || definition.strategy || 'series';
+    const defaultTimeout = options.timeout || definition.timeout || this.hookTimeout;
 
-    for (const { pluginId, handler } of hookHandlers) {
-      const plugin = this.plugins.get(pluginId);
-      if (plugin && plugin.enabled) {
-        try {
-          const result = await handler(data);
-          results.push({ pluginId, result });
-        } catch (error) {
-          console.error(`[PluginManager] Hook "${hookName}" failed in plugin "${pluginId}":`, error);
+    // Entries keep the plugin record they were registered with, so a reload
+    // in flight never pairs an old handler with a new context
+    const entries = this.hooks.get(hookName) || [];
+    const runnable = (entry, value) => entry.plugin.enabled && !entry.plugin.health.quarantined &&
+      (!entry.filter || this._passesHookFilter(hookName, entry, value));
+
+    switch (strategy) {
+      case 'waterfall': {
+        let value = data;
+        for (const registered of entries) {
+          let entry = registered;
+          while (entry && this._isReloading(entry)) entry = await this._awaitReload(hookName, entry);
+          if (!entry || !runnable(entry, value)) continue;
+          const outcome = await this._invokeHookHandler(hookName, entry, value, defaultTimeout);
+          if (outcome.ok && outcome.result !== undefined) {
+            value = outcome.result;
+          }
         }
+        return value;
       }
-    }
 
-    return results;
+      case 'bail':
+        for (const registered of entries) {
+          let entry = registered;
+          while (entry && this._isReloading(entry)) entry = await this._awaitReload(hookName, entry);
+          if (!entry || !runnable(entry, data)) continue;
+          const outcome = await this._invokeHookHandler(hookName, entry, data, defaultTimeout);
+          if (outcome.ok && outcome.result !== undefined) {
+            return { pluginId: entry.pluginId, result: outcome.result };
+          }
+        }
+        return null;
+
+      case 'parallel': {
+        const outcomes = await Promise.all(entries.map(async registered => {
+          let entry = registered;
+          while (entry && this._isReloading(entry)) entry = await this._awaitReload(hookName, entry);
+          if (!entry || !runnable(entry, data)) return null;
+          return this._invokeHookHandler(hookName, entry, data, defaultTimeout);
+        }));
+        return outcomes
+          .filter(outcome => outcome && outcome.ok)
+          .map(({ pluginId, result }) => ({ pluginId, result }));
+      }
+
+      case 'series': {
+        const results = [];
+        for (const registered of entries) {
+          let entry = registered;
+          while (entry && this._isReloading(entry)) entry = await this._awaitReload(hookName, entry);
+          if (!entry || !runnable(entry, data)) continue;
+          const outcome = await this._invokeHookHandler(hookName, entry, data, defaultTimeout);
+          if (outcome.ok) {
+            results.push({ pluginId: entry.pluginId, result: outcome.result });
+          }
+        }
+        return results;
+      }
+
+      default:
+        console.error(`[PluginManager] Unknown hook strategy "${strategy}" for "${hookName}"`);
+        return [];
+    }
   }
 
   /**
@@ -155,7 +683,11 @@ class PluginManager {
       name: p.name,
       version: p.version,
       enabled: p.enabled,
-      metadata: p.metadata
+      metadata: p.metadata,
+      dependencies: p.dependencies.map(dep => ({ ...dep })),
+      permissions: Array.from(p.grants),
+      configurable: !!p.configSchema,
+      health: this._summarizeHealth(p)
     }));
   }
 
@@ -173,39 +705,1262 @@ class PluginManager {
       name: plugin.name,
       version: plugin.version,
       enabled: plugin.enabled,
-      metadata: plugin.metadata
+      metadata: plugin.metadata,
+      dependencies: plugin.dependencies.map(dep => ({ ...dep })),
+      permissions: Array.from(plugin.grants),
+      configurable: !!plugin.configSchema,
+      health: this._summarizeHealth(plugin)
     };
   }
 
   /**
-   * Unregister a plugin completely
+   * Get a plugin's configuration, schema defaults filled in
    * @param {string} pluginId - Plugin identifier
-   * @returns {Promise<boolean>} Success status
+   * @returns {Object|null} Configuration or null if the plugin is unknown
    */
-  async unregisterPlugin(pluginId) {
+  getConfig(pluginId) {
     const plugin = this.plugins.get(pluginId);
-    if (!plugin) {
+    if (!plugin) return null;
+
+    return {
+      ...this._getConfigDefaults(plugin.configSchema),
+      ...JSON.parse(JSON.stringify(this.configs[pluginId] || {}))
+    };
+  }
+
+  /**
+   * Get the schema a plugin declared for its configuration
+   * @param {string} pluginId - Plugin identifier
+   * @returns {Object|null} configSchema or null
+   */
+  getConfigSchema(pluginId) {
+    const plugin = this.plugins.get(pluginId);
+    return plugin ? plugin.configSchema : null;
+  }
+
+  /**
+   * Check a configuration against a plugin's configSchema
+   * @param {string} pluginId - Plugin identifier
+   * @param {Object} config - Complete configuration to check
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validateConfig(pluginId, config) {
+    const plugin = this.plugins.get(pluginId);
+    if (!plugin) return [`Plugin "${pluginId}" not found`];
+    if (!plugin.configSchema) return [];
+
+    const validate = resolveConfigValidator();
+    if (!validate) {
+      return ['schema-validator.js not loaded, configuration cannot be checked'];
+    }
+
+    return validate(plugin.configSchema, config, 'config').errors;
+  }
+
+  /**
+   * Update a plugin's configuration and persist it
+   * @param {string} pluginId - Plugin identifier
+   * @param {Object} patch - Keys to change
+   * @returns {Promise<boolean>} Success status (false when validation fails)
+   */
+  async setConfig(pluginId, patch) {
+    const previous = this.getConfig(pluginId);
+    if (!previous) {
       console.error(`[PluginManager] Plugin "${pluginId}" not found`);
       return false;
     }
 
-    if (plugin.enabled) {
-      await this.disablePlugin(pluginId);
+    // Only values the user set are stored; defaults are merged on read so
+    // later schema default changes take effect
+    const stored = { ...(this.configs[pluginId] || {}), ...patch };
+    const errors = this.validateConfig(pluginId, { ...previous, ...patch });
+    if (errors.length > 0) {
+      console.error(`[PluginManager] Invalid configuration for plugin "${pluginId}": ${errors.join('; ')}`);
+      return false;
     }
 
-    this.plugins.delete(pluginId);
-    console.log(`[PluginManager] Unregistered plugin: ${pluginId}`);
-    return true;
+    return this._applyConfig(pluginId, stored, previous);
   }
 
-  // Private methods
+  /**
+   * Drop stored settings so the plugin falls back to its schema defaults
+   * @param {string} pluginId - Plugin identifier
+   * @returns {Promise<boolean>} Success status
+   */
+  async resetConfig(pluginId) {
+    const previous = this.getConfig(pluginId);
+    if (!previous) {
+      console.error(`[PluginManager] Plugin "${pluginId}" not found`);
+      return false;
+    }
 
-  _registerPluginHooks(pluginId, hooks) {
-    for (const [hookName, handler] of Object.entries(hooks)) {
-      if (!this.hooks.has(hookName)) {
-        this.hooks.set(hookName, []);
-      }
-      this.hooks.get(hookName).push({ pluginId, handler });
+    return this._applyConfig(pluginId, null, previous);
+  }
+
+  /**
+   * Review a plugin's permissions
+   * @param {string} pluginId - Plugin identifier
+   * @returns {Object|null} { declared, granted, revoked, denials } or null
+   */
+  getPermissions(pluginId) {
+    const plugin = this.plugins.get(pluginId);
+    if (!plugin) return null;
+
+    return {
+      declared: [...plugin.permissions],
+      granted: Array.from(plugin.grants),
+      revoked: plugin.permissions.filter(p => !plugin.grants.has(p)),
+      denials: plugin.denials.map(d => ({ ...d }))
+    };
+  }
+
+  /**
+   * Revoke a granted permission; takes effect immediately
+   * @param {string} pluginId - Plugin identifier
+   * @param {string} permission - Permission to revoke
+   * @returns {boolean} True if the grant was removed
+   */
+  revokePermission(pluginId, permission) {
+    const plugin = this.plugins.get(pluginId);
+    if (!plugin || !plugin.grants.delete(permission)) return false;
+
+    console.log(`[PluginManager] Revoked "${permission}" from plugin: ${pluginId}`);
+    if (this.eventBus) {
+      this.eventBus.emit('plugin:permission:revoked', { pluginId, permission });
+    }
+    return true;
+  }
+
+  /**
+   * Restore a permission the plugin declared in its manifest
+   * @param {string} pluginId - Plugin identifier
+   * @param {string} permission - Declared permission to grant
+   * @returns {boolean} True if the permission is granted
+   */
+  grantPermission(pluginId, permission) {
+    const plugin = this.plugins.get(pluginId);
+    if (!plugin) return false;
+
+    if (!plugin.permissions.includes(permission)) {
+      console.warn(`[PluginManager] Plugin "${pluginId}" did not declare "${permission}"`);
+      return false;
+    }
+
+    plugin.grants.add(permission);
+    console.log(`[PluginManager] Granted "${permission}" to plugin: ${pluginId}`);
+    return true;
+  }
+
+  /**
+   * Get the plugin dependency graph
+   * @returns {Object} { nodes, edges, cycles } where edges carry range, optional and satisfied flags
+   */
+  getDependencyGraph() {
+    const nodes = Array.from(this.plugins.values()).map(p => ({
+      id: p.id,
+      version: p.version,
+      enabled: p.enabled
+    }));
+
+    const edges = [];
+    for (const plugin of this.plugins.values()) {
+      for (const dep of plugin.dependencies) {
+        const target = this.plugins.get(dep.id);
+        edges.push({
+          from: plugin.id,
+          to: dep.id,
+          range: dep.range,
+          optional: dep.optional,
+          missing: !target,
+          satisfied: !!target && this._satisfies(target.version, dep.range)
+        });
+      }
+    }
+
+    return { nodes, edges, cycles: this._findCycles() };
+  }
+
+  /**
+   * Unregister a plugin completely
+   * @param {string} pluginId - Plugin identifier
+   * @param {Object} options - Disable options passed to disablePlugin (cascade)
+   * @returns {Promise<boolean>} Success status
+   */
+  async unregisterPlugin(pluginId, options = {}) {
+    const plugin = this.plugins.get(pluginId);
+    if (!plugin) {
+      console.error(`[PluginManager] Plugin "${pluginId}" not found`);
+      return false;
+    }
+
+    if (plugin.enabled && !(await this.disablePlugin(pluginId, options))) {
+      return false;
+    }
+
+    if (plugin.sandbox) {
+      plugin.sandbox.terminate();
+    }
+
+    this.plugins.delete(pluginId);
+    console.log(`[PluginManager] Unregistered plugin: ${pluginId}`);
+    return true;
+  }
+
+  // Private methods
+
+  _defineEvents() {
+    if (!this.eventBus || typeof this.eventBus.defineEvent !== 'function') return;
+
+    const plugin = {
+      type: 'object',
+      required: ['pluginId'],
+      properties: { pluginId: { type: 'string', minLength: 1 } }
+    };
+
+    this.eventBus.defineEvent('plugin:enabled', plugin, { description: 'A plugin was enabled' });
+    this.eventBus.defineEvent('plugin:disabled', plugin, { description: 'A plugin was disabled' });
+    this.eventBus.defineEvent('plugin:permission:denied', {
+      type: 'object',
+      required: ['pluginId', 'permission'],
+      properties: {
+        pluginId: { type: 'string' },
+        permission: { type: 'string' },
+        action: { type: 'string' },
+        timestamp: { type: 'number' }
+      }
+    }, { description: 'A plugin was refused an action it has no grant for' });
+    this.eventBus.defineEvent('plugin:crashed', {
+      type: 'object',
+      required: ['pluginId', 'error'],
+      properties: {
+        pluginId: { type: 'string' },
+        error: { type: 'string' }
+      }
+    }, { description: 'A sandboxed plugin crashed or hung and was terminated' });
+    this.eventBus.defineEvent('plugin:reloaded', {
+      type: 'object',
+      required: ['pluginId', 'version'],
+      properties: {
+        pluginId: { type: 'string' },
+        version: { type: 'string' },
+        previousVersion: { type: 'string' }
+      }
+    }, { description: 'A plugin was replaced by new code, keeping its state' });
+    this.eventBus.defineEvent('plugin:quarantined', {
+      type: 'object',
+      required: ['pluginId', 'reason'],
+      properties: {
+        pluginId: { type: 'string' },
+        reason: { type: 'string' }
+      }
+    }, { description: 'A failing plugin was disabled automatically' });
+    this.eventBus.defineEvent('plugin:installed', {
+      type: 'object',
+      required: ['pluginId', 'version'],
+      properties: {
+        pluginId: { type: 'string' },
+        version: { type: 'string' }
+      }
+    }, { description: 'A plugin was installed from the registry' });
+    this.eventBus.defineEvent('plugin:config:changed', {
+      type: 'object',
+      required: ['pluginId', 'keys'],
+      properties: {
+        pluginId: { type: 'string' },
+        keys: { type: 'array', items: { type: 'string' } }
+      }
+    }, { description: 'A plugin\'s settings were changed' });
+  }
+
+  async _activatePlugin(pluginId) {
+    const plugin = this.plugins.get(pluginId);
+
+    if (!(await this._startInstance(plugin))) {
+      return false;
+    }
+
+    // Register plugin hooks
+    this._registerPluginHooks(pluginId, plugin.hooks);
+
+    if (this.eventBus) {
+      this.eventBus.emit('plugin:enabled', { pluginId });
+    }
+
+    console.log(`[PluginManager] Enabled plugin: ${pluginId}`);
+    return true;
+  }
+
+  async _startInstance(plugin, state) {
+    try {
+      // Each plugin gets its own scoped bus, disposed when it is disabled,
+      // and only sees it through a permission-checked facade
+      plugin.bus = this._createPluginBus(plugin.id);
+      plugin.context = this._createPluginContext(plugin);
+      await plugin.init(plugin.context.bus, plugin.context);
+      if (state !== undefined && plugin.hydrate) {
+        await plugin.hydrate(state, plugin.context);
+      }
+      plugin.enabled = true;
+      return true;
+    } catch (error) {
+      this._disposePluginBus(plugin);
+      console.error(`[PluginManager] Failed to enable plugin "${plugin.id}":`, error);
+      return false;
+    }
+  }
+
+  async _applyConfig(pluginId, config, previous) {
+    if (config) {
+      this.configs[pluginId] = JSON.parse(JSON.stringify(config));
+    } else {
+      delete this.configs[pluginId];
+    }
+    this._saveConfigs();
+
+    const current = this.getConfig(pluginId);
+    const keys = Array.from(new Set([...Object.keys(previous), ...Object.keys(current)]))
+      .filter(key => JSON.stringify(previous[key]) !== JSON.stringify(current[key]));
+
+    const plugin = this.plugins.get(pluginId);
+    if (plugin.enabled && plugin.onConfigChange && keys.length > 0) {
+      try {
+        await plugin.onConfigChange(current, previous, plugin.context);
+      } catch (error) {
+        console.error(`[PluginManager] onConfigChange failed in plugin "${pluginId}":`, error);
+      }
+    }
+
+    if (this.eventBus && keys.length > 0) {
+      this.eventBus.emit('plugin:config:changed', { pluginId, keys });
+    }
+
+    console.log(`[PluginManager] Updated configuration for plugin: ${pluginId}`);
+    return true;
+  }
+
+  _getConfigDefaults(schema) {
+    const defaults = {};
+    for (const [key, property] of Object.entries((schema && schema.properties) || {})) {
+      if (property && 'default' in property) {
+        defaults[key] = JSON.parse(JSON.stringify(property.default));
+      }
+    }
+    return defaults;
+  }
+
+  _loadConfigs() {
+    try {
+      const stored = typeof localStorage !== 'undefined' && localStorage.getItem(this.configStorageKey);
+      this.configs = stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('[PluginManager] Failed to load plugin configuration:', error);
+      this.configs = {};
+    }
+  }
+
+  _saveConfigs() {
+    try {
+      if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(this.configStorageKey, JSON.stringify(this.configs));
+      }
+    } catch (error) {
+      console.error('[PluginManager] Failed to save plugin configuration:', error);
+    }
+  }
+
+  _createPluginRecord(pluginId, definition) {
+    return {
+      id: pluginId,
+      name: definition.name || pluginId,
+      version: definition.version || '1.0.0',
+      enabled: false,
+      hooks: definition.hooks || {},
+      init: definition.init || (() => {}),
+      destroy: definition.destroy || (() => {}),
+      serialize: definition.serialize || null,
+      hydrate: definition.hydrate || null,
+      configSchema: definition.configSchema || null,
+      onConfigChange: definition.onConfigChange || null,
+      metadata: definition.metadata || {},
+      dependencies: [
+        ...this._normalizeDependencies(definition.dependencies, false),
+        ...this._normalizeDependencies(definition.optionalDependencies, true)
+      ],
+      permissions: [...(definition.permissions || [])],
+      grants: new Set(definition.permissions || []),
+      denials: [],
+      health: { hooks: {}, consecutiveErrors: 0, recent: [], quarantined: null },
+      inflight: new Set(),
+      reloading: null,
+      bus: null,
+      context: null,
+      sandbox: null
+    };
+  }
+
+  async _replaceInstance(current, next, options) {
+    const pluginId = current.id;
+
+    let state;
+    try {
+      // Let hook calls already running on the old instance finish first so
+      // their effects are part of the serialized state. No new ones are
+      // admitted; a call that never settles (or waits on this reload) only
+      // holds things up until drainTimeout.
+      const running = Array.from(current.inflight);
+      if (running.length > 0) {
+        let timer = null;
+        await Promise.race([
+          Promise.allSettled(running),
+          new Promise(resolve => { timer = setTimeout(resolve, options.drainTimeout ?? 5000); })
+        ]);
+        clearTimeout(timer);
+        if (current.inflight.size > 0) {
+          console.warn(`[PluginManager] Reloading "${pluginId}" with ${current.inflight.size} hook call(s) still running`);
+        }
+      }
+      state = current.serialize ? await current.serialize() : undefined;
+      await current.destroy();
+    } catch (error) {
+      if (next.sandbox) next.sandbox.terminate();
+      console.error(`[PluginManager] Cannot reload plugin "${pluginId}": old instance failed to stop:`, error);
+      return false;
+    }
+
+    current.enabled = false;
+    this._disposePluginBus(current);
+
+    if (await this._startInstance(next, state)) {
+      this._swapPluginHooks(current, next);
+      this.plugins.set(pluginId, next);
+      this._releaseSandbox(current, next);
+      this._emitReloaded(next, current);
+      return true;
+    }
+
+    if (next.sandbox) next.sandbox.terminate();
+    if (await this._startInstance(current, state)) {
+      console.warn(`[PluginManager] Reload of "${pluginId}" failed, previous version restored`);
+    } else {
+      this._unregisterPluginHooks(pluginId);
+      if (this.eventBus) {
+        this.eventBus.emit('plugin:disabled', { pluginId });
+      }
+      console.error(`[PluginManager] Reload of "${pluginId}" failed and previous version could not be restored`);
+    }
+    return false;
+  }
+
+  // Mid-reload, or swapped out since executeHook took its list of entries
+  _isReloading(entry) {
+    return !!entry.plugin.reloading || this.plugins.get(entry.pluginId) !== entry.plugin;
+  }
+
+  // A hook call that reaches a plugin mid-reload waits for the swap, then
+  // runs the handler that is live afterwards: the new one, the restored old
+  // one, or none if the plugin went down. Callers loop until the entry they
+  // get is settled, then invoke it without yielding in between.
+  async _awaitReload(hookName, entry) {
+    await entry.plugin.reloading;
+    return (this.hooks.get(hookName) || []).find(e => e.pluginId === entry.pluginId) || null;
+  }
+
+  _checkReloadCompatibility(current, next) {
+    for (const plugin of this.plugins.values()) {
+      if (plugin.id === current.id || !plugin.enabled) continue;
+      const dep = plugin.dependencies.find(d => d.id === current.id);
+      if (dep && !this._satisfies(next.version, dep.range)) {
+        throw new Error(`version ${next.version} does not satisfy "${plugin.id}" (requires ${dep.range})`);
+      }
+    }
+
+    if (!current.enabled) return;
+
+    for (const dep of next.dependencies) {
+      const target = this.plugins.get(dep.id);
+      if (dep.optional && (!target || !target.enabled)) continue;
+      if (!target || !target.enabled) {
+        throw new Error(`dependency "${dep.id}" is not enabled`);
+      }
+      if (!this._satisfies(target.version, dep.range)) {
+        throw new Error(`dependency "${dep.id}" ${target.version} does not satisfy ${dep.range}`);
+      }
+    }
+  }
+
+  _emitReloaded(next, previous) {
+    if (this.eventBus) {
+      this.eventBus.emit('plugin:reloaded', {
+        pluginId: next.id,
+        version: next.version,
+        previousVersion: previous.version
+      });
+    }
+    console.log(`[PluginManager] Reloaded plugin: ${next.id} (${previous.version} -> ${next.version})`);
+  }
+
+  _releaseSandbox(previous, next) {
+    if (previous.sandbox && previous.sandbox !== next.sandbox) {
+      previous.sandbox.terminate();
+    }
+  }
+
+  async _deactivatePlugin(pluginId) {
+    const plugin = this.plugins.get(pluginId);
+
+    try {
+      await plugin.destroy();
+      plugin.enabled = false;
+      
+      if (this.eventBus) {
+        this.eventBus.emit('plugin:disabled', { pluginId });
+      }
+      
+      console.log(`[PluginManager] Disabled plugin: ${pluginId}`);
+      return true;
+    } catch (error) {
+      console.error(`[PluginManager] Failed to disable plugin "${pluginId}":`, error);
+      return false;
+    } finally {
+      // Unregister plugin hooks and drop its event subscriptions even when
+      // destroy() failed, so a broken plugin can't keep reacting
+      this._unregisterPluginHooks(pluginId);
+      this._disposePluginBus(plugin);
+    }
+  }
+
+  _getSandboxClass() {
+    if (typeof PluginSandbox !== 'undefined') return PluginSandbox;
+    if (typeof module !== 'undefined' && module.exports) return require('./plugin-sandbox.js');
+    return null;
+  }
+
+  async _startSandbox(spec, options) {
+    const Sandbox = this._getSandboxClass();
+    if (!Sandbox) {
+      throw new Error('PluginSandbox is not loaded');
+    }
+
+    const source = await this._resolvePluginSource(spec, options);
+    const sandbox = new Sandbox(source, {
+      mode: options.sandbox || 'worker',
+      timeout: options.timeout,
+      onCrash: error => this._handleSandboxCrash(sandbox, error)
+    });
+
+    try {
+      await sandbox.start();
+    } catch (error) {
+      sandbox.terminate();
+      throw error;
+    }
+    return sandbox;
+  }
+
+  _isSourceSpec(spec) {
+    if (typeof spec === 'string') return true;
+    return !!spec && !spec.init && !spec.hooks && !!(spec.source || spec.url || spec.path);
+  }
+
+  _getFileManager(options = {}) {
+    if (options.fileManager) return options.fileManager;
+    if (this.services.has('fs')) return this.services.get('fs').implementation;
+    if (typeof window !== 'undefined' && window.CometFileManager) return window.CometFileManager;
+    return null;
+  }
+
+  _describeSource(spec) {
+    if (typeof spec !== 'string') return spec || {};
+    if (spec.startsWith('comet-platform/')) return { path: spec };
+    if (/^(https?:\/\/|\.{0,2}\/)/.test(spec)) return { url: spec };
+    // A mistyped path must not end up executed as code
+    throw new Error(`"${spec}" is neither a comet-platform/ path nor a URL (pass inline code as { source })`);
+  }
+
+  async _resolvePluginSource(spec, options) {
+    const descriptor = this._describeSource(spec);
+
+    if (descriptor.source) {
+      return descriptor.source;
+    }
+
+    if (descriptor.path) {
+      const fileManager = this._getFileManager(options);
+      if (!fileManager || typeof fileManager.readFile !== 'function') {
+        throw new Error('File manager is not available');
+      }
+      return fileManager.readFile(descriptor.path);
+    }
+
+    if (descriptor.url) {
+      const response = await fetch(descriptor.url);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch ${descriptor.url}: ${response.status}`);
+      }
+      return response.text();
+    }
+
+    throw new Error('Plugin source, url or path is required');
+  }
+
+  _resolveRegistrySource(source, registry) {
+    if (/^https?:\/\//.test(source)) {
+      return source;
+    }
+
+    // comet-platform/ paths are normalized too, so ".." can't climb out
+    const platformPath = source.startsWith('comet-platform/');
+    if (platformPath || registry.path) {
+      const base = platformPath ? [] : registry.path.split('/').slice(0, -1);
+      for (const segment of source.split('/')) {
+        if (segment === '..') base.pop();
+        else if (segment !== '.' && segment !== '') base.push(segment);
+      }
+      const path = base.join('/');
+      if (!path.startsWith('comet-platform/')) {
+        throw new Error(`source "${source}" resolves outside comet-platform/`);
+      }
+      return path;
+    }
+
+    if (registry.url) {
+      const origin = typeof location !== 'undefined' ? location.href : undefined;
+      return new URL(source, new URL(registry.url, origin)).href;
+    }
+
+    throw new Error(`relative source "${source}" needs a registry loaded from a path or URL`);
+  }
+
+  _isPlatformCompatible(entry) {
+    return this._satisfies(this.platformVersion, entry.platform || '*');
+  }
+
+  _selectRegistryVersion(pluginId, range) {
+    if (!this.registry) {
+      throw new Error('no registry loaded');
+    }
+
+    const versions = this.registry.entries.get(pluginId);
+    if (!versions) {
+      throw new Error('not found in registry');
+    }
+
+    const matching = versions.filter(entry => this._satisfies(entry.version, range));
+    if (matching.length === 0) {
+      throw new Error(`no version satisfies ${range} (available: ${versions.map(e => e.version).join(', ')})`);
+    }
+
+    const compatible = matching.find(entry => this._isPlatformCompatible(entry));
+    if (!compatible) {
+      throw new Error(`requires platform ${matching[0].platform}, running ${this.platformVersion}`);
+    }
+    return compatible;
+  }
+
+  _warnVersionMismatch(pluginId, entry) {
+    const plugin = this.plugins.get(pluginId);
+    if (plugin && plugin.version !== entry.version) {
+      console.warn(`[PluginManager] Plugin "${pluginId}" reports version ${plugin.version}, registry lists ${entry.version}`);
+    }
+  }
+
+  _createSandboxedDefinition(sandbox, manifest) {
+    const hooks = {};
+    for (const hookName of manifest.hooks) {
+      const hookOptions = (manifest.hookOptions || {})[hookName] || {};
+      hooks[hookName] = {
+        ...hookOptions,
+        // Bounded like any other hook: by its own timeout, else the hook defaults
+        handler: data => sandbox.call('hook', { hookName, data }, { timeout: hookOptions.timeout || 0 })
+      };
+    }
+
+    return {
+      name: manifest.name,
+      version: manifest.version,
+      permissions: manifest.permissions,
+      dependencies: manifest.dependencies,
+      optionalDependencies: manifest.optionalDependencies,
+      metadata: { ...manifest.metadata, sandboxed: sandbox.mode },
+      configSchema: manifest.configSchema,
+      hooks,
+      init: (bus, context) => {
+        sandbox.attach(context);
+        const services = {};
+        for (const [name, facade] of Object.entries(context.services)) {
+          services[name] = Object.keys(facade);
+        }
+        return sandbox.call('init', { pluginId: context.pluginId, services });
+      },
+      destroy: () => sandbox.call('destroy'),
+      serialize: manifest.methods.includes('serialize')
+        ? () => sandbox.call('serialize')
+        : null,
+      hydrate: manifest.methods.includes('hydrate')
+        ? state => sandbox.call('hydrate', { args: [state] })
+        : null,
+      onConfigChange: manifest.methods.includes('onConfigChange')
+        ? (config, previous) => sandbox.call('onConfigChange', { args: [config, previous] })
+        : null
+    };
+  }
+
+  _handleSandboxCrash(sandbox, error) {
+    const plugin = Array.from(this.plugins.values()).find(p => p.sandbox === sandbox);
+    if (!plugin) return;
+    const pluginId = plugin.id;
+
+    // destroy() cannot run in a dead sandbox; clean up on the host side only
+    if (plugin.enabled) {
+      plugin.enabled = false;
+      this._unregisterPluginHooks(pluginId);
+      this._disposePluginBus(plugin);
+    }
+
+    console.error(`[PluginManager] Sandboxed plugin "${pluginId}" crashed:`, error);
+    if (this.eventBus) {
+      this.eventBus.emit('plugin:crashed', { pluginId, error: error.message });
+      this.eventBus.emit('plugin:disabled', { pluginId });
+    }
+  }
+
+  _normalizeDependencies(dependencies, optional) {
+    if (!dependencies) return [];
+
+    const entries = Array.isArray(dependencies)
+      ? dependencies.map(spec => {
+        // "id@range"; a leading "@" belongs to the id
+        const at = spec.lastIndexOf('@');
+        return at > 0 ? [spec.slice(0, at), spec.slice(at + 1)] : [spec, '*'];
+      })
+      : Object.entries(dependencies);
+
+    return entries.map(([id, range]) => ({ id, range: range || '*', optional }));
+  }
+
+  /**
+   * Topological enable order for a plugin and its dependencies
+   * (dependencies first). Throws on cycles, missing or incompatible
+   * required dependencies; unusable optional dependencies are skipped.
+   */
+  _resolveEnableOrder(pluginId) {
+    const order = [];
+    const done = new Set();
+    const path = [];
+
+    const visit = id => {
+      if (done.has(id)) return;
+
+      const cycleStart = path.indexOf(id);
+      if (cycleStart !== -1) {
+        throw new Error(`dependency cycle ${[...path.slice(cycleStart), id].join(' -> ')}`);
+      }
+
+      const plugin = this.plugins.get(id);
+      path.push(id);
+
+      for (const dep of plugin.dependencies) {
+        const target = this.plugins.get(dep.id);
+
+        if (!target) {
+          if (dep.optional) continue;
+          throw new Error(`"${id}" requires "${dep.id}@${dep.range}", which is not registered`);
+        }
+
+        if (!this._satisfies(target.version, dep.range)) {
+          if (dep.optional) {
+            console.warn(`[PluginManager] Skipping optional dependency "${dep.id}" of "${id}": ${target.version} does not satisfy ${dep.range}`);
+            continue;
+          }
+          throw new Error(`"${id}" requires "${dep.id}@${dep.range}", but version ${target.version} is registered`);
+        }
+
+        visit(dep.id);
+      }
+
+      path.pop();
+      done.add(id);
+      order.push(id);
+    };
+
+    visit(pluginId);
+    return order;
+  }
+
+  /**
+   * Enabled plugins that (transitively) require a plugin, ordered so each
+   * one comes before the plugins it depends on
+   */
+  _getEnabledDependents(pluginId) {
+    const order = [];
+    const seen = new Set([pluginId]);
+
+    const visit = id => {
+      for (const plugin of this.plugins.values()) {
+        if (!plugin.enabled || seen.has(plugin.id)) continue;
+        if (!plugin.dependencies.some(dep => dep.id === id && !dep.optional)) continue;
+
+        seen.add(plugin.id);
+        visit(plugin.id);
+        order.push(plugin.id);
+      }
+    };
+
+    visit(pluginId);
+    return order;
+  }
+
+  _findCycles() {
+    const cycles = [];
+    const state = new Map(); // id -> 'visiting' | 'done'
+    const path = [];
+
+    const visit = id => {
+      state.set(id, 'visiting');
+      path.push(id);
+
+      for (const dep of this.plugins.get(id).dependencies) {
+        if (!this.plugins.has(dep.id)) continue;
+
+        if (state.get(dep.id) === 'visiting') {
+          cycles.push([...path.slice(path.indexOf(dep.id)), dep.id]);
+        } else if (!state.has(dep.id)) {
+          visit(dep.id);
+        }
+      }
+
+      path.pop();
+      state.set(id, 'done');
+    };
+
+    for (const id of this.plugins.keys()) {
+      if (!state.has(id)) visit(id);
+    }
+
+    return cycles;
+  }
+
+  _parseVersion(version) {
+    const match = String(version).trim().match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?/);
+    if (!match) return null;
+
+    return {
+      major: Number(match[1]),
+      minor: Number(match[2] || 0),
+      patch: Number(match[3] || 0),
+      prerelease: match[4] || null
+    };
+  }
+
+  _compareVersions(a, b) {
+    const va = typeof a === 'string' ? this._parseVersion(a) : a;
+    const vb = typeof b === 'string' ? this._parseVersion(b) : b;
+    if (!va || !vb) return 0;
+
+    for (const part of ['major', 'minor', 'patch']) {
+      if (va[part] !== vb[part]) return va[part] > vb[part] ? 1 : -1;
+    }
+
+    // A prerelease sorts before its release
+    if (va.prerelease === vb.prerelease) return 0;
+    if (!va.prerelease) return 1;
+    if (!vb.prerelease) return -1;
+    return this._comparePrerelease(va.prerelease, vb.prerelease);
+  }
+
+  // Dot-separated identifiers: numeric ones compare numerically and sort
+  // before alphanumeric ones, so beta.2 < beta.10 < beta.x
+  _comparePrerelease(a, b) {
+    const pa = a.split('.');
+    const pb = b.split('.');
+
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+      if (pa[i] === undefined) return -1;
+      if (pb[i] === undefined) return 1;
+      if (pa[i] === pb[i]) continue;
+
+      const na = /^\d+$/.test(pa[i]);
+      const nb = /^\d+$/.test(pb[i]);
+      if (na && nb) return Number(pa[i]) > Number(pb[i]) ? 1 : -1;
+      if (na !== nb) return na ? -1 : 1;
+      return pa[i] > pb[i] ? 1 : -1;
+    }
+    return 0;
+  }
+
+  /**
+   * Check a version against a semver range: "*", "1.2.3", "^1.2", "~1.2.3",
+   * "1.x", comparators (">=1.0.0 <2.0.0", also ">= 1.0.0") and "||" alternatives
+   */
+  _satisfies(version, range) {
+    const v = this._parseVersion(version);
+    if (!v) return false;
+
+    return String(range || '*').split('||').some(alternative => {
+      // ">= 1.0.0" is one comparator, as in npm ranges
+      const comparators = alternative.trim().replace(/(<=|>=|<|>|=|\^|~)\s+/g, '$1').split(/\s+/).filter(Boolean);
+      return comparators.every(comparator => this._satisfiesComparator(v, comparator));
+    });
+  }
+
+  _satisfiesComparator(v, comparator) {
+    if (comparator === '*' || comparator === 'x' || comparator === 'latest') return true;
+
+    const match = comparator.match(/^(\^|~|>=|<=|>|<|=)?\s*v?(\d+|x|\*)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?(?:-([0-9A-Za-z.-]+))?$/);
+    if (!match) return false;
+
+    const [, op = '', majorPart, minorPart, patchPart, prerelease] = match;
+    const wild = part => part === undefined || part === 'x' || part === '*';
+    if (wild(majorPart)) return true;
+
+    const base = {
+      major: Number(majorPart),
+      minor: wild(minorPart) ? 0 : Number(minorPart),
+      patch: wild(patchPart) ? 0 : Number(patchPart),
+      prerelease: prerelease || null
+    };
+    const cmp = this._compareVersions(v, base);
+
+    // Upper bound (exclusive) for ^, ~ and partial versions
+    let upper = null;
+    if (op === '^') {
+      if (base.major > 0 || wild(minorPart)) upper = { major: base.major + 1, minor: 0, patch: 0 };
+      else if (base.minor > 0 || wild(patchPart)) upper = { major: 0, minor: base.minor + 1, patch: 0 };
+      else upper = { major: 0, minor: 0, patch: base.patch + 1 };
+    } else if (op === '~' || ((op === '' || op === '=') && (wild(minorPart) || wild(patchPart)))) {
+      upper = wild(minorPart)
+        ? { major: base.major + 1, minor: 0, patch: 0 }
+        : { major: base.major, minor: base.minor + 1, patch: 0 };
+    }
+
+    switch (op) {
+      case '>': return cmp > 0;
+      case '>=': return cmp >= 0;
+      case '<': return cmp < 0;
+      case '<=': return cmp <= 0;
+      default:
+        if (upper) {
+          // Prereleases of the upper bound are excluded too: 2.0.0-beta is not ^1.0.0
+          return cmp >= 0 && this._compareVersions({ ...v, prerelease: null }, upper) < 0;
+        }
+        return cmp === 0;
+    }
+  }
+
+  _createPluginBus(pluginId) {
+    if (!this.eventBus) return null;
+    // The raw bus would let emits skip the plugin prefix and permission checks
+    if (typeof this.eventBus.scope !== 'function') {
+      throw new Error('event bus has no scope(), plugins cannot be given a bus');
+    }
+
+    return this.eventBus.scope(`plugin:${pluginId}`, { owner: pluginId });
+  }
+
+  _disposePluginBus(plugin) {
+    if (plugin.bus && typeof plugin.bus.dispose === 'function') {
+      plugin.bus.dispose();
+    }
+    plugin.bus = null;
+    plugin.context = null;
+  }
+
+  _createPluginContext(plugin) {
+    const services = {};
+    for (const name of this.services.keys()) {
+      services[name] = this._createServiceFacade(plugin, name);
+    }
+
+    return {
+      pluginId: plugin.id,
+      bus: this._createGuardedBus(plugin),
+      services,
+      hasPermission: permission => this._hasPermission(plugin, permission),
+      getConfig: () => this.getConfig(plugin.id)
+    };
+  }
+
+  _createGuardedBus(plugin) {
+    const bus = plugin.bus;
+    if (!bus) return null;
+
+    const ownPrefix = `plugin:${plugin.id}:`;
+    const subscribe = (method, eventName, callback, options) => {
+      if (!eventName.startsWith(ownPrefix)) {
+        this._requirePermission(plugin, `events:subscribe:${eventName}`, `${method}("${eventName}")`);
+      }
+      // The event's own emit() would reach the global bus unchecked
+      const guarded = (data, event) => callback(data, event && {
+        ...event,
+        emit: (name, payload, emitOptions = {}) => {
+          if (!name.startsWith(ownPrefix)) {
+            this._requirePermission(plugin, `events:emit:${name}`, `event.emit("${name}")`);
+          }
+          return event.emit(name, payload, { source: plugin.id, ...emitOptions });
+        }
+      });
+      return bus[method](eventName, guarded, options);
+    };
+
+    return {
+      on: (eventName, callback, options) => subscribe('on', eventName, callback, options),
+      once: (eventName, callback, options) => subscribe('once', eventName, callback, options),
+      // Events in the plugin's own namespace need no permission
+      emit: (eventName, data, options) => bus.emit(eventName, data, options),
+      emitGlobal: (eventName, data, options = {}) => {
+        this._requirePermission(plugin, `events:emit:${eventName}`, `emitGlobal("${eventName}")`);
+        return this.eventBus.emit(eventName, data, { source: plugin.id, ...options });
+      },
+      request: (requestName, data, options) => {
+        this._requirePermission(plugin, `events:request:${requestName}`, `request("${requestName}")`);
+        return bus.request(requestName, data, options);
+      },
+      handle: (requestName, handler) => bus.handle(requestName, handler)
+    };
+  }
+
+  _createServiceFacade(plugin, name) {
+    const { implementation, methodPermissions } = this.services.get(name);
+    const facade = {};
+
+    for (const [method, permission] of Object.entries(methodPermissions)) {
+      if (typeof implementation[method] !== 'function') continue;
+
+      facade[method] = (...args) => {
+        this._requirePermission(plugin, permission, `${name}.${method}()`);
+        return implementation[method](...args);
+      };
+    }
+
+    return facade;
+  }
+
+  /**
+   * Grants may use "*" for one segment and "**" for any number of
+   * segments, e.g. "events:emit:memory:*"
+   */
+  _hasPermission(plugin, permission) {
+    for (const grant of plugin.grants) {
+      if (grant === permission) return true;
+      if (!grant.includes('*')) continue;
+
+      const pattern = grant
+        .split(':')
+        .map(part => part === '**' ? '.*' : part === '*' ? '[^:]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join(':');
+      if (new RegExp(`^${pattern.replace(/:\.\*$/, '(?::.*)?')}$`).test(permission)) return true;
+    }
+    return false;
+  }
+
+  _requirePermission(plugin, permission, action) {
+    if (this._hasPermission(plugin, permission)) return;
+
+    const denial = { permission, action, timestamp: Date.now() };
+    plugin.denials.push(denial);
+    if (plugin.denials.length > 50) {
+      plugin.denials.shift();
+    }
+
+    console.warn(`[PluginManager] Plugin "${plugin.id}" denied ${action}: missing "${permission}"`);
+    if (this.eventBus) {
+      this.eventBus.emit('plugin:permission:denied', { pluginId: plugin.id, ...denial });
+    }
+
+    const error = new Error(`Plugin "${plugin.id}" lacks permission "${permission}"`);
+    error.code = 'PERMISSION_DENIED';
+    throw error;
+  }
+
+  _registerPluginHooks(pluginId, hooks) {
+    const plugin = this.plugins.get(pluginId);
+
+    // Handler arrays are replaced, never mutated, so an executeHook loop
+    // keeps iterating the snapshot it started with
+    for (const [hookName, hook] of Object.entries(hooks)) {
+      const entry = this._createHookEntry(plugin, hook);
+      if (!entry) continue;
+      this.hooks.set(hookName, this._sortHookEntries([...(this.hooks.get(hookName) || []), entry]));
+    }
+  }
+
+  _createHookEntry(plugin, hook) {
+    const options = typeof hook === 'function' ? { handler: hook } : hook || {};
+    if (typeof options.handler !== 'function') {
+      console.warn(`[PluginManager] Ignoring hook without handler in plugin "${plugin.id}"`);
+      return null;
+    }
+
+    return {
+      pluginId: plugin.id,
+      plugin,
+      handler: options.handler,
+      priority: options.priority || 0,
+      timeout: options.timeout || 0,
+      filter: typeof options.filter === 'function' ? options.filter : null
+    };
+  }
+
+  _sortHookEntries(entries) {
+    // Higher priority first; Array.prototype.sort is stable so equal
+    // priorities keep registration order
+    return entries.sort((a, b) => b.priority - a.priority);
+  }
+
+  _passesHookFilter(hookName, entry, data) {
+    try {
+      return !!entry.filter(data);
+    } catch (error) {
+      console.error(`[PluginManager] Hook "${hookName}" filter failed in plugin "${entry.pluginId}":`, error);
+      return false;
+    }
+  }
+
+  async _invokeHookHandler(hookName, entry, data, defaultTimeout) {
+    const { pluginId, plugin, handler } = entry;
+    const timeout = entry.timeout || defaultTimeout;
+
+    const startTime = Date.now();
+    const call = (async () => handler(data, plugin.context))();
+    // Tracked until it actually settles, even if we stop waiting on a timeout,
+    // so a reload still sees a handler that is running past its limit
+    const settled = () => plugin.inflight.delete(call);
+    plugin.inflight.add(call);
+    call.then(settled, settled);
+
+    let timer = null;
+    const expired = new Promise((resolve, reject) => {
+      if (timeout) {
+        timer = setTimeout(() => {
+          const error = new Error(`Hook "${hookName}" timed out after ${timeout}ms`);
+          error.code = 'TIMEOUT';
+          reject(error);
+        }, timeout);
+      }
+    });
+
+    try {
+      const result = await Promise.race([call, expired]);
+      this._recordHookCall(plugin, hookName, Date.now() - startTime, null);
+      return { ok: true, pluginId, result };
+    } catch (error) {
+      console.error(`[PluginManager] Hook "${hookName}" failed in plugin "${pluginId}":`, error);
+      this._recordHookCall(plugin, hookName, Date.now() - startTime, error);
+      return { ok: false, pluginId, error };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  _recordHookCall(plugin, hookName, duration, error) {
+    const health = plugin.health;
+    const stats = health.hooks[hookName] ||
+      (health.hooks[hookName] = { calls: 0, errors: 0, timeouts: 0, samples: [], lastError: null });
+
+    stats.calls++;
+    stats.samples.push(duration);
+    if (stats.samples.length > this.latencySamples) {
+      stats.samples.shift();
+    }
+
+    if (error) {
+      stats.errors++;
+      if (error.code === 'TIMEOUT') stats.timeouts++;
+      stats.lastError = { message: error.message, timestamp: Date.now() };
+      health.consecutiveErrors++;
+    } else {
+      health.consecutiveErrors = 0;
+    }
+
+    if (!this.quarantine) return;
+
+    health.recent.push(!error);
+    if (health.recent.length > this.quarantine.window) {
+      health.recent.shift();
+    }
+
+    if (!error || health.quarantined || !plugin.enabled) return;
+
+    const failures = health.recent.filter(ok => !ok).length;
+    if (health.consecutiveErrors >= this.quarantine.consecutiveErrors) {
+      this._quarantinePlugin(plugin, `${health.consecutiveErrors} consecutive hook failures (last: ${error.message})`);
+    } else if (health.recent.length >= this.quarantine.window &&
+      failures / health.recent.length >= this.quarantine.errorRate) {
+      this._quarantinePlugin(plugin, `${failures} of the last ${health.recent.length} hook calls failed`);
+    }
+  }
+
+  _quarantinePlugin(plugin, reason) {
+    // Marked first so no further hook calls reach it while it shuts down
+    plugin.health.quarantined = { reason, timestamp: Date.now() };
+    console.error(`[PluginManager] Quarantining plugin "${plugin.id}": ${reason}`);
+
+    if (this.eventBus) {
+      this.eventBus.emit('plugin:quarantined', { pluginId: plugin.id, reason });
+    }
+
+    this.disablePlugin(plugin.id, { cascade: true })
+      .catch(error => console.error(`[PluginManager] Failed to disable quarantined plugin "${plugin.id}":`, error));
+  }
+
+  _summarizeHealth(plugin) {
+    const health = plugin.health;
+    const hooks = {};
+    let calls = 0;
+    let errors = 0;
+    let timeouts = 0;
+
+    for (const [hookName, stats] of Object.entries(health.hooks)) {
+      const sorted = [...stats.samples].sort((a, b) => a - b);
+      const percentile = p => sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)] : null;
+
+      hooks[hookName] = {
+        calls: stats.calls,
+        errors: stats.errors,
+        timeouts: stats.timeouts,
+        p50: percentile(0.5),
+        p95: percentile(0.95),
+        p99: percentile(0.99),
+        lastError: stats.lastError ? { ...stats.lastError } : null
+      };
+      calls += stats.calls;
+      errors += stats.errors;
+      timeouts += stats.timeouts;
+    }
+
+    return {
+      status: health.quarantined ? 'quarantined' : health.consecutiveErrors > 0 ? 'degraded' : 'healthy',
+      calls,
+      errors,
+      timeouts,
+      consecutiveErrors: health.consecutiveErrors,
+      quarantined: health.quarantined ? { ...health.quarantined } : null,
+      hooks
+    };
+  }
+
+  _swapPluginHooks(previous, next) {
+    const hookNames = new Set([...this.hooks.keys(), ...Object.keys(next.hooks)]);
+
+    for (const hookName of hookNames) {
+      const replacement = hookName in next.hooks ? this._createHookEntry(next, next.hooks[hookName]) : null;
+      const entries = [];
+      let placed = false;
+
+      // New handlers take the old ones' place in the execution order
+      for (const entry of this.hooks.get(hookName) || []) {
+        if (entry.pluginId !== previous.id) {
+          entries.push(entry);
+        } else if (replacement && !placed) {
+          entries.push(replacement);
+          placed = true;
+        }
+      }
+      if (replacement && !placed) {
+        entries.push(replacement);
+      }
+
+      this.hooks.set(hookName, this._sortHookEntries(entries));
     }
   }
 
@@ -0,0 +1,507 @@
+/**
+ * Plugin Sandbox Module
+ * Runs third-party plugin source in a dedicated Web Worker or sandboxed
+ * iframe and exposes it to the PluginManager through a message proxy.
+ */
+
+/**
+ * Code executed inside the sandbox. It is stringified into the worker or
+ * iframe, so it must not reference anything outside its own body.
+ * @param {Function} post - Sends a message to the host
+ * @param {Function} listen - Registers the handler for host messages
+ * @param {string} source - Plugin source (CommonJS style: assigns module.exports)
+ */
+function pluginSandboxRuntime(post, listen, source) {
+  const pending = new Map();
+  const subscriptions = new Map();
+  const requestHandlers = new Map();
+  let sequence = 0;
+  let plugin = null;
+
+  const serializeError = error => ({
+    message: error && error.message ? error.message : String(error),
+    code: error && error.code ? error.code : null
+  });
+
+  const callHost = (type, payload) => new Promise((resolve, reject) => {
+    const id = ++sequence;
+    pending.set(id, { resolve, reject });
+    post({ type, id, ...payload });
+  });
+
+  const subscribe = (op, eventName, callback, options) => {
+    const subId = ++sequence;
+    subscriptions.set(subId, callback);
+    callHost('bus', { op, args: [eventName, options || {}], subId }).catch(error => {
+      subscriptions.delete(subId);
+      console.error(`[PluginSandbox] ${op}("${eventName}") refused: ${error.message}`);
+    });
+    return () => {
+      if (subscriptions.delete(subId)) {
+        callHost('bus', { op: 'off', subId });
+      }
+    };
+  };
+
+  const bus = {
+    on: (eventName, callback, options) => subscribe('on', eventName, callback, options),
+    once: (eventName, callback, options) => subscribe('once', eventName, callback, options),
+    emit: (eventName, data) => callHost('bus', { op: 'emit', args: [eventName, data] }),
+    emitGlobal: (eventName, data) => callHost('bus', { op: 'emitGlobal', args: [eventName, data] }),
+    request: (requestName, data, options) => callHost('bus', { op: 'request', args: [requestName, data, options || {}] }),
+    handle: (requestName, handler) => {
+      const handlerId = ++sequence;
+      requestHandlers.set(handlerId, handler);
+      callHost('bus', { op: 'handle', args: [requestName], handlerId });
+      return () => {
+        if (requestHandlers.delete(handlerId)) {
+          callHost('bus', { op: 'off', subId: handlerId });
+        }
+      };
+    }
+  };
+
+  const createContext = (pluginId, services) => {
+    const proxies = {};
+    for (const [name, methods] of Object.entries(services || {})) {
+      proxies[name] = {};
+      for (const method of methods) {
+        proxies[name][method] = (...args) => callHost('service', { service: name, method, args });
+      }
+    }
+    return { pluginId, bus, services: proxies, getConfig: () => callHost('config', {}) };
+  };
+
+  let context = null;
+
+  const invoke = async message => {
+    switch (message.method) {
+      case 'init':
+        context = createContext(message.pluginId, message.services);
+        return plugin.init ? plugin.init(bus, context) : undefined;
+      case 'destroy':
+        return plugin.destroy ? plugin.destroy() : undefined;
+      case 'hook': {
+        const hook = plugin.hooks[message.hookName];
+        return (typeof hook === 'function' ? hook : hook.handler)(message.data, context);
+      }
+      case 'handle':
+        return requestHandlers.get(message.handlerId)(message.data);
+      case 'hydrate':
+      case 'onConfigChange':
+        // Same signature as in-process plugins: the sandbox's own context
+        // (host objects can't cross the boundary) is the last argument
+        return plugin[message.method](...(message.args || []), context);
+      default:
+        if (typeof plugin[message.method] === 'function') {
+          return plugin[message.method](...(message.args || []));
+        }
+        throw new Error(`Unknown sandbox method "${message.method}"`);
+    }
+  };
+
+  listen(async message => {
+    if (!message || !message.type) return;
+
+    if (message.type === 'reply') {
+      const entry = pending.get(message.id);
+      if (!entry) return;
+      pending.delete(message.id);
+      if (message.error) {
+        const error = new Error(message.error.message);
+        error.code = message.error.code;
+        entry.reject(error);
+      } else {
+        entry.resolve(message.result);
+      }
+    } else if (message.type === 'event') {
+      const callback = subscriptions.get(message.subId);
+      if (callback) {
+        try {
+          await callback(message.data, message.event);
+        } catch (error) {
+          console.error('[PluginSandbox] Listener error:', error);
+        }
+      }
+    } else if (message.type === 'call') {
+      try {
+        const result = await invoke(message);
+        post({ type: 'result', id: message.id, result: result === undefined ? null : result });
+      } catch (error) {
+        post({ type: 'result', id: message.id, error: serializeError(error) });
+      }
+    }
+  });
+
+  // Plugins reach the network only through host services (net:* permissions).
+  // Interface members live on the global's prototype chain, so they are
+  // deleted there and shadowed on the global itself.
+  for (const name of ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'WebTransport', 'importScripts', 'Worker', 'SharedWorker']) {
+    for (let target = globalThis; target; target = Object.getPrototypeOf(target)) {
+      if (Object.prototype.hasOwnProperty.call(target, name)) delete target[name];
+    }
+    try {
+      Object.defineProperty(globalThis, name, { value: undefined, writable: false, configurable: false });
+    } catch (error) {
+      // Non-configurable in this runtime; the delete above is all we can do
+    }
+  }
+  if (typeof navigator !== 'undefined') {
+    delete Object.getPrototypeOf(navigator).sendBeacon;
+  }
+
+  try {
+    const module = { exports: {} };
+    new Function('module', 'exports', source)(module, module.exports);
+    plugin = module.exports.default || module.exports;
+
+    post({
+      type: 'ready',
+      manifest: {
+        id: plugin.id || null,
+        name: plugin.name || null,
+        version: plugin.version || '1.0.0',
+        permissions: plugin.permissions || [],
+        dependencies: plugin.dependencies || null,
+        optionalDependencies: plugin.optionalDependencies || null,
+        metadata: plugin.metadata || {},
+        configSchema: plugin.configSchema || null,
+        hooks: Object.keys(plugin.hooks || {}),
+        hookOptions: Object.fromEntries(Object.entries(plugin.hooks || {})
+          .filter(([, hook]) => hook && typeof hook === 'object')
+          .map(([name, hook]) => [name, { priority: hook.priority || 0, timeout: hook.timeout || 0 }])),
+        methods: Object.keys(plugin).filter(key => typeof plugin[key] === 'function')
+      }
+    });
+  } catch (error) {
+    post({ type: 'fatal', error: serializeError(error) });
+  }
+}
+
+class PluginSandbox {
+  /**
+   * @param {string} source - Plugin source code
+   * @param {Object} options - Sandbox options
+   * @param {string} options.mode - 'worker' (default) or 'iframe'
+   * @param {number} options.timeout - Max ms to start (a sandbox that doesn't start is terminated), and
+   *   the default limit for calls without their own timeout (the call is rejected, the sandbox keeps running)
+   * @param {Function} options.onCrash - Called with the error when the sandbox dies
+   */
+  constructor(source, options = {}) {
+    this.source = source;
+    this.mode = options.mode || 'worker';
+    this.timeout = options.timeout || 5000;
+    this.onCrash = options.onCrash || null;
+    this.pending = new Map();
+    this.subscriptions = new Map();
+    this.sequence = 0;
+    this.context = null;
+    this.manifest = null;
+    this.crashed = false;
+    this.terminated = false;
+    this.worker = null;
+    this.iframe = null;
+    this._onWindowMessage = null;
+  }
+
+  /**
+   * Boot the sandbox and load the plugin source
+   * @returns {Promise<Object>} Plugin manifest reported by the sandbox
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._crash(new Error(`Plugin sandbox did not start within ${this.timeout}ms`));
+      }, this.timeout);
+
+      this._ready = { resolve, reject, timer };
+
+      try {
+        if (this.mode === 'iframe') {
+          this._startIframe();
+        } else {
+          this._startWorker();
+        }
+      } catch (error) {
+        clearTimeout(timer);
+        this._ready = null;
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Provide the guarded bus and services the plugin acts through
+   * @param {Object} context - Plugin context from PluginManager ({ pluginId, bus, services })
+   */
+  attach(context) {
+    this.context = context;
+  }
+
+  /**
+   * Invoke a method on the sandboxed plugin
+   * @param {string} method - 'init', 'destroy', 'hook', 'handle' or a plugin method name
+   * @param {Object} payload - Call payload
+   * @param {Object} options - Call options
+   * @param {number} options.timeout - Max ms before the call is rejected (default the sandbox
+   *   timeout, 0 for none); a late result is ignored
+   * @returns {Promise<*>} Result returned by the plugin
+   */
+  call(method, payload = {}, options = {}) {
+    if (this.crashed || this.terminated) {
+      return Promise.reject(new Error('Plugin sandbox is not running'));
+    }
+
+    const timeout = options.timeout !== undefined ? options.timeout : this.timeout;
+    return new Promise((resolve, reject) => {
+      const id = ++this.sequence;
+      const timer = timeout ? setTimeout(() => {
+        this.pending.delete(id);
+        const error = new Error(`Plugin call "${method}" timed out after ${timeout}ms`);
+        error.code = 'TIMEOUT';
+        reject(error);
+      }, timeout) : null;
+
+      this.pending.set(id, { resolve, reject, timer });
+
+      try {
+        this._post({ type: 'call', id, method, ...payload });
+      } catch (error) {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Stop the sandbox and release its worker or iframe
+   */
+  terminate() {
+    if (this.terminated) return;
+    this.terminated = true;
+
+    for (const unsubscribe of this.subscriptions.values()) {
+      try { unsubscribe(); } catch (error) { /* bus already disposed */ }
+    }
+    this.subscriptions.clear();
+
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(new Error('Plugin sandbox terminated'));
+    }
+    this.pending.clear();
+
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.iframe) {
+      window.removeEventListener('message', this._onWindowMessage);
+      this.iframe.remove();
+      this.iframe = null;
+    }
+  }
+
+  // Private methods
+
+  _runtimeSource(postExpression, listenExpression) {
+    return `(${pluginSandboxRuntime.toString()})(${postExpression}, ${listenExpression}, ${JSON.stringify(this.source)});`;
+  }
+
+  _startWorker() {
+    const code = this._runtimeSource(
+      'message => self.postMessage(message)',
+      'handler => self.addEventListener("message", event => handler(event.data))'
+    );
+    const url = URL.createObjectURL(new Blob([code], { type: 'text/javascript' }));
+
+    this.worker = new Worker(url);
+    URL.revokeObjectURL(url);
+
+    this.worker.onmessage = event => this._handleMessage(event.data);
+    this.worker.onerror = event => {
+      event.preventDefault();
+      this._crash(new Error(event.message || 'Plugin worker error'));
+    };
+  }
+
+  _startIframe() {
+    const code = this._runtimeSource(
+      'message => parent.postMessage(message, "*")',
+      'handler => addEventListener("message", event => { if (event.source === parent) handler(event.data); })'
+    );
+
+    this.iframe = document.createElement('iframe');
+    // No allow-same-origin: the plugin gets an opaque origin without access to the host page
+    this.iframe.setAttribute('sandbox', 'allow-scripts');
+    this.iframe.style.display = 'none';
+    // The CSP also covers nested frames and elements the plugin could create to reach the network
+    const csp = "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval'";
+    this.iframe.srcdoc = `<meta http-equiv="Content-Security-Policy" content="${csp}"><script>window.onerror = (m) => parent.postMessage({ type: 'fatal', error: { message: String(m) } }, '*');\n${code.replace(/<\/script/gi, '<\\/script')}</script>`;
+
+    this._onWindowMessage = event => {
+      if (this.iframe && event.source === this.iframe.contentWindow) {
+        this._handleMessage(event.data);
+      }
+    };
+    window.addEventListener('message', this._onWindowMessage);
+    document.body.appendChild(this.iframe);
+  }
+
+  _post(message) {
+    if (this.worker) {
+      this.worker.postMessage(message);
+    } else if (this.iframe && this.iframe.contentWindow) {
+      this.iframe.contentWindow.postMessage(message, '*');
+    } else {
+      throw new Error('Plugin sandbox is not running');
+    }
+  }
+
+  async _handleMessage(message) {
+    if (!message || !message.type) return;
+
+    switch (message.type) {
+      case 'ready':
+        this.manifest = message.manifest;
+        if (this._ready) {
+          clearTimeout(this._ready.timer);
+          this._ready.resolve(message.manifest);
+          this._ready = null;
+        }
+        break;
+      case 'fatal':
+        this._crash(new Error(message.error.message));
+        break;
+      case 'result': {
+        const entry = this.pending.get(message.id);
+        if (!entry) return;
+        this.pending.delete(message.id);
+        clearTimeout(entry.timer);
+        if (message.error) {
+          const error = new Error(message.error.message);
+          error.code = message.error.code;
+          entry.reject(error);
+        } else {
+          entry.resolve(message.result);
+        }
+        break;
+      }
+      case 'bus':
+      case 'service':
+      case 'config':
+        try {
+          const result = message.type === 'bus'
+            ? await this._handleBusCall(message)
+            : message.type === 'service'
+              ? await this._handleServiceCall(message)
+              : this.context && this.context.getConfig();
+          this._reply(message.id, { result: result === undefined ? null : result });
+        } catch (error) {
+          this._reply(message.id, { error: { message: error.message, code: error.code || null } });
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  _reply(id, payload) {
+    if (this.terminated || this.crashed) return;
+
+    try {
+      this._post({ type: 'reply', id, ...payload });
+    } catch (error) {
+      // Result could not be cloned across the boundary
+      this._post({ type: 'reply', id, error: { message: error.message, code: 'DATA_CLONE' } });
+    }
+  }
+
+  _handleBusCall(message) {
+    const bus = this.context && this.context.bus;
+    if (!bus) {
+      throw new Error('Plugin has no event bus');
+    }
+
+    const [name, second, third] = message.args || [];
+    switch (message.op) {
+      case 'emit':
+        return bus.emit(name, second);
+      case 'emitGlobal':
+        return bus.emitGlobal(name, second);
+      case 'request':
+        return bus.request(name, second, third);
+      case 'on':
+      case 'once': {
+        const unsubscribe = bus[message.op](name, (data, event) => {
+          if (message.op === 'once') this.subscriptions.delete(message.subId);
+          this._forwardEvent(message.subId, data, event);
+        }, second);
+        this.subscriptions.set(message.subId, unsubscribe);
+        return true;
+      }
+      case 'handle': {
+        // The requester's own timeout bounds the handler
+        const unregister = bus.handle(name, data => this.call('handle', { handlerId: message.handlerId, data }, { timeout: 0 }));
+        this.subscriptions.set(message.handlerId, unregister);
+        return true;
+      }
+      case 'off': {
+        const unsubscribe = this.subscriptions.get(message.subId);
+        if (unsubscribe) {
+          this.subscriptions.delete(message.subId);
+          unsubscribe();
+        }
+        return true;
+      }
+      default:
+        throw new Error(`Unknown bus operation "${message.op}"`);
+    }
+  }
+
+  _handleServiceCall(message) {
+    const service = this.context && this.context.services[message.service];
+    if (!service || typeof service[message.method] !== 'function') {
+      throw new Error(`Service method "${message.service}.${message.method}" is not available`);
+    }
+    return service[message.method](...(message.args || []));
+  }
+
+  _forwardEvent(subId, data, event) {
+    try {
+      this._post({
+        type: 'event',
+        subId,
+        data,
+        event: { name: event.name, timestamp: event.timestamp, traceId: event.traceId, spanId: event.spanId }
+      });
+    } catch (error) {
+      console.error(`[PluginSandbox] Could not forward "${event.name}" to plugin:`, error);
+    }
+  }
+
+  _crash(error) {
+    if (this.crashed || this.terminated) return;
+    this.crashed = true;
+
+    console.error('[PluginSandbox] Plugin sandbox crashed:', error);
+    if (this._ready) {
+      clearTimeout(this._ready.timer);
+      this._ready.reject(error);
+      this._ready = null;
+    }
+
+    this.terminate();
+    if (this.onCrash) {
+      this.onCrash(error);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PluginSandbox;
+} else {
+  window.PluginSandbox = PluginSandbox;
+}
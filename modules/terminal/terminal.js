@@ -135,8 +135,11 @@ No real system commands are executed.`;
      * Receives input, simulates output, and logs all activity
      */
     async function executeCommand(commandString) {
+            // Every hub request made for this command shares its trace
+            const trace = { traceId: EventBus.createId('trace'), spanId: EventBus.createId('span') };
+
             // Log command input
-            logActivity('INPUT', `Command received: ${commandString}`);
+            logActivity('INPUT', `Command received: ${commandString}`, { traceId: trace.traceId });
 
             // Parse command
             const parts = commandString.trim().split(/\s+/);
@@ -151,6 +154,7 @@ No real system commands are executed.`;
                     try {
                         const id = 'req-' + Math.random().toString(36).slice(2, 9);
                         payload.requestId = id;
+                        Object.assign(payload, EventBus.childSpan(trace));
                         // Store resolver
                         pendingRequests[id] = { resolve };
                         // Send to opener (hub)
@@ -239,7 +243,7 @@ No real system commands are executed.`;
         }
         
         // Log command output
-        logActivity('OUTPUT', `Command executed: ${command}`, { args, output });
+        logActivity('OUTPUT', `Command executed: ${command}`, { args, output, traceId: trace.traceId });
 
         // Add to history
         if (commandString.trim()) {
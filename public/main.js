@@ -39,7 +39,16 @@
     };
   }
 
+  // Hub side of the cross-window EventBus: module windows register with the
+  // hub and it relays their events to each other
+  function mountEventBridge(){
+    if (typeof EventBusBridge === 'undefined' || hub.bridge) return;
+    hub.bridge = EventBusBridge.attach({ hub: true });
+    hub.eventBus = hub.bridge.eventBus;
+  }
+
   function hook(){
+    mountEventBridge();
     mountExportHandler();
     const obs = new MutationObserver(()=>ensureSummaryBindings());
     obs.observe(document.body,{childList:true,subtree:true});